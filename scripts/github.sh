@@ -112,7 +112,7 @@ delete_old_summary_comments() {
     return
   fi
 
-  echo "$existing_comments_response" | jq -r '.[] | select(.body | contains("🤖 **Automated Code Review Results**")) | .id' | while IFS= read -r comment_id; do
+  echo "$existing_comments_response" | jq -r '.[] | select(.body | contains("🤖 **Automated Code Review Results**") or contains("korekt-reviewed-sha:")) | .id' | while IFS= read -r comment_id; do
     echo "Deleting old summary comment (ID: $comment_id)..."
 
     local delete_response
@@ -209,8 +209,14 @@ CRITICAL_ISSUES=$(jq -r '.data.summary.critical // 0' "$RESULTS_FILE")
 if [ "$TOTAL_ISSUES" -gt 0 ]; then
   populate_existing_comments_map
 
+  # Lines outside the diff cannot take inline comments; those issues are only listed in the summary
+  OUTSIDE_DIFF_ISSUES=$(jq -r '[.data.review.issues[] | select(.severity != "low" and .diff_location == "outside_diff")] | length' "$RESULTS_FILE")
+  if [ "$OUTSIDE_DIFF_ISSUES" -gt 0 ]; then
+    echo "Skipping inline comments for ${OUTSIDE_DIFF_ISSUES} issue(s) outside the diff (listed in the summary)"
+  fi
+
   echo "Posting inline comments for non-low severity issues..."
-  jq -r '.data.review.issues[] | select(.severity != "low") | @json' "$RESULTS_FILE" | while IFS= read -r issue_json; do
+  jq -r '.data.review.issues[] | select(.severity != "low" and .diff_location != "outside_diff") | @json' "$RESULTS_FILE" | while IFS= read -r issue_json; do
     file_path=$(echo "$issue_json" | jq -r '.file_path')
     line_number=$(echo "$issue_json" | jq -r '.line_number')
     message=$(echo "$issue_json" | jq -r '.message')
@@ -352,7 +358,12 @@ else
       file_link="[$file_path:$line_number](${GITHUB_SERVER_URL}/${GITHUB_REPOSITORY}/blob/${COMMIT_HASH}/${file_path}#L${line_number})"
       formatted_category=$(echo "$category" | sed -e 's/_/ /g' -e 's/\b\(.\)/\u\1/g')
 
-      echo "- $emoji **$severity** in $file_link ($category_emoji $formatted_category)" >> "$COMMENT_FILE"
+      location_note=""
+      if [ "$(echo "$issue_json" | jq -r '.diff_location // ""')" = "outside_diff" ]; then
+        location_note=" _(outside the diff)_"
+      fi
+
+      echo "- $emoji **$severity** in $file_link ($category_emoji $formatted_category)$location_note" >> "$COMMENT_FILE"
       echo "" >> "$COMMENT_FILE"
       printf "%s\n" "$message" >> "$COMMENT_FILE"
       echo "" >> "$COMMENT_FILE"
@@ -389,6 +400,13 @@ else
   fi
 fi
 
+# Record the reviewed commit, read back by `kk review --since-last`
+REVIEWED_SHA=$(jq -r '.reviewed_sha // empty' "$RESULTS_FILE")
+if [ -n "$REVIEWED_SHA" ]; then
+  echo "" >> "$COMMENT_FILE"
+  echo "<!-- korekt-reviewed-sha: $REVIEWED_SHA -->" >> "$COMMENT_FILE"
+fi
+
 # Delete old summaries
 delete_old_summary_comments
 
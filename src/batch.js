@@ -0,0 +1,176 @@
+import { basename, dirname } from 'path';
+import {
+  calculateChangedLines,
+  classifyFile,
+  estimateFileSize,
+  fitPayloadToBudget,
+} from './git-logic.js';
+
+/**
+ * Number of batches sent to the API at the same time
+ */
+export const BATCH_CONCURRENCY = 3;
+
+// File names too common to relate a test to a module in another directory
+const GENERIC_STEMS = new Set(['index', 'main', 'mod', 'init', '__init__', 'lib', 'utils']);
+
+/**
+ * File name without directory, leading dot, extensions and test affixes,
+ * e.g. "parser" for src/parser.js and tests/test_parser.py
+ * @param {string} filePath - The file path
+ * @returns {string}
+ */
+function fileStem(filePath) {
+  return basename(filePath)
+    .replace(/^\./, '')
+    .split('.')[0]
+    .replace(/^test_|_(test|spec)$/i, '')
+    .toLowerCase();
+}
+
+// Tests are told apart the same way as when trimming the payload
+const isTestFile = (file) => classifyFile(file.path) === 'test';
+
+/**
+ * Key shared by files in the same directory with the same stem,
+ * e.g. src/parser.js, src/parser.test.js and src/parser.css
+ * @param {string} filePath - The file path
+ * @returns {string} - Grouping key
+ */
+export function relatedFileKey(filePath) {
+  return `${dirname(filePath)}/${fileStem(filePath)}`;
+}
+
+/**
+ * Group related files, keeping the order in which each group first appears.
+ * Files are related when they share a directory and stem (see relatedFileKey). A test in
+ * another directory joins its module's group when exactly one module has its stem,
+ * e.g. test/parser.test.js and src/parser.js; generic names like index.js never do.
+ * @param {Array} changedFiles - Entries of the payload's changed_files
+ * @returns {Array<Array>} - Groups of changed files
+ */
+export function groupRelatedFiles(changedFiles) {
+  const groups = new Map();
+  for (const file of changedFiles) {
+    const key = relatedFileKey(file.path);
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(file);
+  }
+
+  // Groups holding a module (not only tests), by stem
+  const modulesByStem = new Map();
+  for (const [key, files] of groups) {
+    if (!files.every(isTestFile)) {
+      const stem = fileStem(files[0].path);
+      modulesByStem.set(stem, [...(modulesByStem.get(stem) || []), key]);
+    }
+  }
+
+  for (const [key, files] of groups) {
+    const stem = fileStem(files[0].path);
+    const modules = modulesByStem.get(stem) || [];
+    if (
+      GENERIC_STEMS.has(stem) ||
+      modules.length !== 1 ||
+      modules[0] === key ||
+      !files.every(isTestFile)
+    ) {
+      continue;
+    }
+    groups.get(modules[0]).push(...files);
+    groups.delete(key);
+  }
+  return [...groups.values()];
+}
+
+/**
+ * Split a payload into batches that each fit the payload budget.
+ * Related files end up in the same batch when they fit one together; a group larger than
+ * the budget is spread over several batches instead. Only a single file larger than the
+ * budget is trimmed, by fitPayloadToBudget.
+ * @param {Object} payload - The complete review payload
+ * @param {number|null} maxPayloadSize - Budget per batch in bytes, or null/0 for a single batch
+ * @returns {Array<Object>} - Payloads to send, each with a batch: {index, total} marker
+ */
+export function partitionPayload(payload, maxPayloadSize) {
+  const baseSize = estimateFileSize({
+    ...payload,
+    changed_files: [],
+    batch: { index: 0, total: 0 },
+  }).bytes;
+  // Files left out while collecting are reported with the first batch only
+  const { omitted_files: omittedFiles, ...batchPayload } = payload;
+  const sizeOf = (files) =>
+    files.reduce((size, file) => size + estimateFileSize(file).bytes + 1, 0);
+
+  const batches = [];
+  let current = [];
+  let currentSize = baseSize;
+  const add = (files, size) => {
+    if (current.length > 0 && maxPayloadSize && currentSize + size > maxPayloadSize) {
+      batches.push(current);
+      current = [];
+      currentSize = baseSize;
+    }
+    current.push(...files);
+    currentSize += size;
+  };
+
+  for (const group of groupRelatedFiles(payload.changed_files)) {
+    const groupSize = sizeOf(group);
+    if (maxPayloadSize && baseSize + groupSize > maxPayloadSize) {
+      group.forEach((file) => add([file], sizeOf([file])));
+    } else {
+      add(group, groupSize);
+    }
+  }
+  batches.push(current);
+
+  return batches.map((files, index) =>
+    fitPayloadToBudget(
+      {
+        ...batchPayload,
+        changed_files: files,
+        changed_lines: calculateChangedLines(files),
+        batch: { index: index + 1, total: batches.length },
+        ...(index === 0 && omittedFiles && { omitted_files: omittedFiles }),
+      },
+      maxPayloadSize
+    )
+  );
+}
+
+/**
+ * Merge the API responses of several batches into a single response.
+ * Issues and praises are concatenated and numeric summary counts are added up,
+ * so the result has the same shape as the response to a single request.
+ * @param {Array<Object>} results - Response bodies, in batch order
+ * @returns {Object} - The merged response
+ */
+export function mergeReviewResults(results) {
+  const [first] = results;
+
+  const summary = {};
+  for (const result of results) {
+    for (const [key, value] of Object.entries(result.data?.summary || {})) {
+      summary[key] =
+        typeof value === 'number' ? (summary[key] || 0) + value : (summary[key] ?? value);
+    }
+  }
+
+  return {
+    ...first,
+    ...('success' in first && { success: results.every((result) => result.success !== false) }),
+    data: {
+      ...first.data,
+      review: {
+        ...first.data?.review,
+        issues: results.flatMap((result) => result.data?.review?.issues || []),
+        praises: results.flatMap((result) => result.data?.review?.praises || []),
+      },
+      summary,
+    },
+  };
+}
@@ -0,0 +1,236 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  relatedFileKey,
+  groupRelatedFiles,
+  partitionPayload,
+  mergeReviewResults,
+} from './batch.js';
+
+describe('relatedFileKey', () => {
+  it('should relate a module to its tests in the same directory', () => {
+    expect(relatedFileKey('src/parser.js')).toBe('src/parser');
+    expect(relatedFileKey('src/parser.test.js')).toBe('src/parser');
+    expect(relatedFileKey('pkg/parser_test.go')).toBe('pkg/parser');
+    expect(relatedFileKey('tests/test_parser.py')).toBe('tests/parser');
+  });
+
+  it('should not relate files with the same name in different directories', () => {
+    expect(relatedFileKey('packages/a/package.json')).toBe('packages/a/package');
+    expect(relatedFileKey('packages/b/package.json')).toBe('packages/b/package');
+  });
+});
+
+describe('groupRelatedFiles', () => {
+  const paths = (groups) => groups.map((group) => group.map((file) => file.path));
+
+  it('should group related files in order of first appearance', () => {
+    const files = ['src/a.js', 'src/b.js', 'test/a.test.js', 'README.md'].map((path) => ({
+      path,
+    }));
+
+    expect(paths(groupRelatedFiles(files))).toEqual([
+      ['src/a.js', 'test/a.test.js'],
+      ['src/b.js'],
+      ['README.md'],
+    ]);
+  });
+
+  it('should only relate files across directories through a test', () => {
+    const files = [
+      'packages/a/package.json',
+      'packages/b/package.json',
+      'docs/README.md',
+      'README.md',
+      'src/a/index.js',
+      'test/index.test.js',
+      'src/x/parser.js',
+      'src/y/parser.js',
+      'test/parser.test.js',
+    ].map((path) => ({ path }));
+
+    expect(paths(groupRelatedFiles(files))).toEqual([
+      ['packages/a/package.json'],
+      ['packages/b/package.json'],
+      ['docs/README.md'],
+      ['README.md'],
+      ['src/a/index.js'],
+      ['test/index.test.js'],
+      ['src/x/parser.js'],
+      ['src/y/parser.js'],
+      ['test/parser.test.js'],
+    ]);
+  });
+});
+
+describe('partitionPayload', () => {
+  const makeFile = (path, size) => ({
+    path,
+    status: 'M',
+    diff: `diff --git a/${path} b/${path}\n@@ -1 +1 @@\n-a\n+b`,
+    content: 'c'.repeat(size),
+  });
+
+  const payload = {
+    repo_url: 'https://github.com/user/repo',
+    commit_messages: ['feat: change'],
+    changed_files: [
+      makeFile('src/a.js', 400),
+      makeFile('src/b.js', 400),
+      makeFile('src/a.test.js', 400),
+      makeFile('src/c.js', 400),
+    ],
+    changed_lines: 8,
+  };
+  const size = (value) => Buffer.byteLength(JSON.stringify(value));
+
+  beforeEach(() => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should keep related files together and every batch within the budget', () => {
+    const budget = size({ ...payload, changed_files: [] }) + 1200;
+    const batches = partitionPayload(payload, budget);
+
+    expect(batches.map((batch) => batch.changed_files.map((file) => file.path))).toEqual([
+      ['src/a.js', 'src/a.test.js'],
+      ['src/b.js', 'src/c.js'],
+    ]);
+    expect(batches.map((batch) => batch.batch)).toEqual([
+      { index: 1, total: 2 },
+      { index: 2, total: 2 },
+    ]);
+    expect(batches.map((batch) => batch.changed_lines)).toEqual([4, 4]);
+    expect(batches[1].commit_messages).toEqual(['feat: change']);
+    batches.forEach((batch) => expect(size(batch)).toBeLessThanOrEqual(budget));
+  });
+
+  it('should not lose files with the same name across directories', () => {
+    const packages = Array.from({ length: 10 }, (_, index) =>
+      makeFile(`packages/p${index}/package.json`, 200)
+    );
+
+    const batches = partitionPayload({ ...payload, changed_files: packages }, 3000);
+
+    expect(batches.flatMap((batch) => batch.changed_files).map((file) => file.path)).toEqual(
+      packages.map((file) => file.path)
+    );
+    batches.forEach((batch) => expect(batch.omitted_files).toBeUndefined());
+  });
+
+  it('should spread a group larger than the budget over several batches', () => {
+    const group = [makeFile('src/a.js', 400), makeFile('src/a.test.js', 400)];
+    const budget = size({ ...payload, changed_files: [] }) + 700;
+
+    const batches = partitionPayload({ ...payload, changed_files: group }, budget);
+
+    expect(batches.map((batch) => batch.changed_files.map((file) => file.path))).toEqual([
+      ['src/a.js'],
+      ['src/a.test.js'],
+    ]);
+    batches.forEach((batch) => {
+      expect(batch.omitted_files).toBeUndefined();
+      expect(size(batch)).toBeLessThanOrEqual(budget);
+    });
+  });
+
+  it('should trim a single file that does not fit a batch on its own', () => {
+    const budget = size({ ...payload, changed_files: [] }) + 500;
+    const batches = partitionPayload(
+      { ...payload, changed_files: payload.changed_files.slice(0, 1) },
+      budget
+    );
+
+    expect(batches).toHaveLength(1);
+    expect(batches[0].changed_files[0].content).toBe('');
+    expect(batches[0].omitted_files).toEqual([
+      {
+        path: 'src/a.js',
+        status: 'M',
+        omitted: 'content',
+        reason: 'payload_budget',
+        additions: 1,
+        deletions: 1,
+      },
+    ]);
+  });
+
+  it('should report the files left out while collecting with the first batch only', () => {
+    const oversized = {
+      path: 'dist/huge.js',
+      status: 'A',
+      omitted: 'file',
+      reason: 'max_file_size',
+      additions: 90000,
+      deletions: 0,
+    };
+    const budget = size({ ...payload, changed_files: [] }) + 1200;
+
+    const batches = partitionPayload({ ...payload, omitted_files: [oversized] }, budget);
+
+    expect(batches.length).toBeGreaterThan(1);
+    expect(batches[0].omitted_files).toEqual([oversized]);
+    batches.slice(1).forEach((batch) => expect(batch.omitted_files).toBeUndefined());
+  });
+
+  it('should send a single batch without a budget', () => {
+    const batches = partitionPayload(payload, 0);
+
+    expect(batches).toHaveLength(1);
+    expect(batches[0].changed_files).toHaveLength(4);
+  });
+});
+
+describe('mergeReviewResults', () => {
+  const issue = (file_path, severity) => ({ file_path, line_number: 1, severity, message: 'm' });
+
+  it('should concatenate issues and praises and add up summary counts', () => {
+    const merged = mergeReviewResults([
+      {
+        success: true,
+        data: {
+          review: { issues: [issue('a.js', 'high')], praises: [] },
+          summary: { total_issues: 1, total_praises: 0, high: 1, verdict: 'ok' },
+        },
+      },
+      {
+        success: true,
+        data: {
+          review: {
+            issues: [issue('b.js', 'low'), issue('b.js', 'high')],
+            praises: [{ file_path: 'b.js', line_number: 2, message: 'nice' }],
+          },
+          summary: { total_issues: 2, total_praises: 1, high: 1, low: 1, verdict: 'meh' },
+        },
+      },
+    ]);
+
+    expect(merged.success).toBe(true);
+    expect(merged.data.review.issues.map((item) => item.file_path)).toEqual([
+      'a.js',
+      'b.js',
+      'b.js',
+    ]);
+    expect(merged.data.review.praises).toHaveLength(1);
+    expect(merged.data.summary).toEqual({
+      total_issues: 3,
+      total_praises: 1,
+      high: 2,
+      low: 1,
+      verdict: 'ok',
+    });
+  });
+
+  it('should report failure when any batch failed', () => {
+    const merged = mergeReviewResults([
+      { success: true, data: { review: { issues: [] }, summary: {} } },
+      { success: false, data: {} },
+    ]);
+
+    expect(merged.success).toBe(false);
+    expect(merged.data.review).toEqual({ issues: [], praises: [] });
+  });
+});
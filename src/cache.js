@@ -0,0 +1,198 @@
+import Conf from 'conf';
+import { createHash } from 'crypto';
+import { statSync } from 'fs';
+
+/**
+ * Most files kept in the review cache; the least recently used are evicted first
+ */
+export const MAX_CACHE_ENTRIES = 2000;
+
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+let defaultCache = null;
+
+/**
+ * Open the review cache, stored as review-cache.json next to the CLI config
+ * @param {string} [cwd] - Directory to keep the cache in instead of the config directory
+ * @returns {Conf} - The cache store
+ */
+export function openReviewCache(cwd) {
+  return new Conf({
+    projectName: 'korekt-cli',
+    configName: 'review-cache',
+    ...(cwd && { cwd }),
+    // Keep the file compact, it can hold thousands of reviews
+    serialize: (value) => JSON.stringify(value),
+  });
+}
+
+function getDefaultCache() {
+  if (!defaultCache) {
+    defaultCache = openReviewCache();
+  }
+  return defaultCache;
+}
+
+/**
+ * Repository a payload was collected from, which its cache keys are scoped to
+ * @param {Object} payload - A review payload
+ * @returns {string|null} - The repo_url, or the local_repo_id of a repository without a remote
+ */
+export function cacheRepository(payload) {
+  return payload.repo_url || payload.local_repo_id || null;
+}
+
+/**
+ * Cache key of a changed file: its repository, path, diff, base content and changed content
+ * @param {Object} file - A changed_files entry
+ * @param {string|null} [repository] - From cacheRepository
+ * @returns {string} - SHA-256 hex digest
+ */
+export function cacheKey(file, repository = null) {
+  return createHash('sha256')
+    .update(
+      JSON.stringify([
+        repository,
+        file.path,
+        file.old_path || null,
+        file.diff,
+        file.content,
+        file.new_content ?? null,
+      ])
+    )
+    .digest('hex');
+}
+
+/**
+ * Split changed files into those with a cached review and those that need one
+ * @param {Array} changedFiles - Entries of the payload's changed_files
+ * @param {Conf} [cache] - The cache store
+ * @param {Object} [options]
+ * @param {boolean} [options.record=true] - Count hits and misses and mark hits as recently used
+ * @param {string|null} [options.repository] - Repository of the files, from cacheRepository
+ * @returns {{cached: Array<{path: string, issues: Array, praises: Array}>, uncached: Array}}
+ */
+export function lookupCachedReviews(
+  changedFiles,
+  cache = getDefaultCache(),
+  { record = true, repository = null } = {}
+) {
+  const entries = cache.get('entries', {});
+  const cached = [];
+  const uncached = [];
+
+  for (const file of changedFiles) {
+    const entry = entries[cacheKey(file, repository)];
+    if (entry) {
+      entry.used_at = Date.now();
+      cached.push({ path: file.path, issues: entry.issues, praises: entry.praises });
+    } else {
+      uncached.push(file);
+    }
+  }
+
+  if (record) {
+    cache.set({
+      entries,
+      hits: cache.get('hits', 0) + cached.length,
+      misses: cache.get('misses', 0) + uncached.length,
+    });
+  }
+  return { cached, uncached };
+}
+
+/**
+ * Store the issues and praises of each reviewed file.
+ * Files without findings are stored too, so they are not sent again.
+ * @param {Array} reviewedFiles - The changed_files that were sent, as they were collected
+ * @param {Object} results - The API response for them
+ * @param {Conf} [cache] - The cache store
+ * @param {Object} [options]
+ * @param {string|null} [options.repository] - Repository of the files, from cacheRepository
+ */
+export function storeReviews(
+  reviewedFiles,
+  results,
+  cache = getDefaultCache(),
+  { repository = null } = {}
+) {
+  if (results?.success === false || !results?.data?.review) {
+    return;
+  }
+
+  const { issues = [], praises = [] } = results.data.review;
+  const entries = cache.get('entries', {});
+  const now = Date.now();
+  const normalizePath = (path) => String(path).replace(/^(\.\/|\/)+/, '');
+
+  for (const file of reviewedFiles) {
+    const isForFile = (item) => normalizePath(item.file_path) === file.path;
+    entries[cacheKey(file, repository)] = {
+      path: file.path,
+      issues: issues.filter(isForFile),
+      praises: praises.filter(isForFile),
+      used_at: now,
+    };
+  }
+
+  // Evict the least recently used reviews
+  const keys = Object.keys(entries);
+  if (keys.length > MAX_CACHE_ENTRIES) {
+    keys
+      .sort((a, b) => entries[a].used_at - entries[b].used_at)
+      .slice(0, keys.length - MAX_CACHE_ENTRIES)
+      .forEach((key) => delete entries[key]);
+  }
+
+  cache.set('entries', entries);
+}
+
+/**
+ * Build a response from cached reviews, in the shape returned by the API
+ * @param {Array<{issues: Array, praises: Array}>} cached - Cached reviews from lookupCachedReviews
+ * @returns {Object} - Response with review.issues, review.praises and summary counts
+ */
+export function buildCachedResults(cached) {
+  const issues = cached.flatMap((entry) => entry.issues);
+  const praises = cached.flatMap((entry) => entry.praises);
+
+  const summary = { total_issues: issues.length, total_praises: praises.length };
+  for (const severity of SEVERITIES) {
+    summary[severity] = issues.filter((issue) => issue.severity === severity).length;
+  }
+
+  return { success: true, data: { review: { issues, praises }, summary } };
+}
+
+/**
+ * Remove every cached review
+ * @param {Conf} [cache] - The cache store
+ * @returns {number} - Number of reviews removed
+ */
+export function clearCache(cache = getDefaultCache()) {
+  const count = Object.keys(cache.get('entries', {})).length;
+  cache.clear();
+  return count;
+}
+
+/**
+ * Describe the cache contents and how often it was used
+ * @param {Conf} [cache] - The cache store
+ * @returns {{path: string, entries: number, size: number, hits: number, misses: number}}
+ */
+export function getCacheStats(cache = getDefaultCache()) {
+  let size = 0;
+  try {
+    size = statSync(cache.path).size;
+  } catch {
+    // The cache file is only created on first use
+  }
+
+  return {
+    path: cache.path,
+    entries: Object.keys(cache.get('entries', {})).length,
+    size,
+    hits: cache.get('hits', 0),
+    misses: cache.get('misses', 0),
+  };
+}
@@ -0,0 +1,158 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  openReviewCache,
+  cacheKey,
+  cacheRepository,
+  lookupCachedReviews,
+  storeReviews,
+  buildCachedResults,
+  clearCache,
+  getCacheStats,
+  MAX_CACHE_ENTRIES,
+} from './cache.js';
+
+const makeFile = (path, diff = `diff --git a/${path} b/${path}\n@@ -1 +1 @@\n-a\n+b`) => ({
+  path,
+  status: 'M',
+  diff,
+  content: 'a',
+});
+
+const response = (issues, praises = []) => ({
+  success: true,
+  data: { review: { issues, praises }, summary: { total_issues: issues.length } },
+});
+
+describe('review cache', () => {
+  let cacheDir;
+  let cache;
+
+  beforeEach(() => {
+    cacheDir = mkdtempSync(join(tmpdir(), 'korekt-cache-'));
+    cache = openReviewCache(cacheDir);
+  });
+
+  afterEach(() => {
+    rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  it('should key files by repository, path, diff, base and changed content', () => {
+    const file = makeFile('a.js');
+
+    expect(cacheKey(file)).toBe(cacheKey({ ...file }));
+    expect(cacheKey(file)).not.toBe(cacheKey({ ...file, content: 'changed' }));
+    expect(cacheKey(file)).not.toBe(cacheKey({ ...file, path: 'b.js' }));
+    expect(cacheKey(file)).not.toBe(cacheKey(makeFile('a.js', 'other diff')));
+    expect(cacheKey(file)).not.toBe(cacheKey({ ...file, new_content: 'b' }));
+    expect(cacheKey(file, 'github.com/a/repo')).not.toBe(cacheKey(file, 'github.com/b/repo'));
+  });
+
+  it('should not share reviews between repositories', () => {
+    storeReviews([makeFile('a.js')], response([]), cache, { repository: 'github.com/a/repo' });
+
+    const other = lookupCachedReviews([makeFile('a.js')], cache, {
+      repository: 'github.com/b/repo',
+    });
+    const same = lookupCachedReviews([makeFile('a.js')], cache, {
+      repository: 'github.com/a/repo',
+    });
+
+    expect(other.cached).toEqual([]);
+    expect(same.cached.map((entry) => entry.path)).toEqual(['a.js']);
+  });
+
+  it('should scope keys to the remote, or the local id without one', () => {
+    expect(cacheRepository({ repo_url: 'github.com/a/repo' })).toBe('github.com/a/repo');
+    expect(cacheRepository({ repo_url: null, local_repo_id: 'local:abc' })).toBe('local:abc');
+    expect(cacheRepository({})).toBeNull();
+  });
+
+  it('should reuse the issues and praises of unchanged files', () => {
+    const a = makeFile('a.js');
+    const b = makeFile('b.js');
+    storeReviews(
+      [a, b],
+      response(
+        [
+          { file_path: 'a.js', line_number: 1, severity: 'high', message: 'bug' },
+          { file_path: './b.js', line_number: 1, severity: 'low', message: 'nit' },
+        ],
+        [{ file_path: 'a.js', line_number: 1, message: 'nice' }]
+      ),
+      cache
+    );
+
+    const changedB = makeFile('b.js', 'diff --git a/b.js b/b.js\n@@ -1 +1 @@\n-a\n+c');
+    const { cached, uncached } = lookupCachedReviews([a, changedB, makeFile('c.js')], cache);
+
+    expect(cached).toEqual([
+      {
+        path: 'a.js',
+        issues: [{ file_path: 'a.js', line_number: 1, severity: 'high', message: 'bug' }],
+        praises: [{ file_path: 'a.js', line_number: 1, message: 'nice' }],
+      },
+    ]);
+    expect(uncached.map((file) => file.path)).toEqual(['b.js', 'c.js']);
+    expect(getCacheStats(cache)).toMatchObject({ entries: 2, hits: 1, misses: 2 });
+  });
+
+  it('should cache files without findings, and skip failed responses', () => {
+    storeReviews([makeFile('clean.js')], response([]), cache);
+    storeReviews([makeFile('failed.js')], { success: false, error: 'boom' }, cache);
+
+    const { cached, uncached } = lookupCachedReviews(
+      [makeFile('clean.js'), makeFile('failed.js')],
+      cache
+    );
+
+    expect(cached).toEqual([{ path: 'clean.js', issues: [], praises: [] }]);
+    expect(uncached.map((file) => file.path)).toEqual(['failed.js']);
+  });
+
+  it('should not count lookups that are not recorded', () => {
+    lookupCachedReviews([makeFile('a.js')], cache, { record: false });
+
+    expect(getCacheStats(cache)).toMatchObject({ hits: 0, misses: 0 });
+  });
+
+  it('should evict the least recently used reviews', () => {
+    const files = Array.from({ length: MAX_CACHE_ENTRIES + 1 }, (_, index) =>
+      makeFile(`file${index}.js`)
+    );
+    storeReviews(files.slice(0, 1), response([]), cache);
+    storeReviews(files.slice(1), response([]), cache);
+
+    expect(getCacheStats(cache).entries).toBe(MAX_CACHE_ENTRIES);
+    expect(lookupCachedReviews(files.slice(0, 1), cache).cached).toEqual([]);
+  });
+
+  it('should clear every review and report the count', () => {
+    storeReviews([makeFile('a.js'), makeFile('b.js')], response([]), cache);
+
+    expect(clearCache(cache)).toBe(2);
+    expect(getCacheStats(cache)).toMatchObject({ entries: 0, hits: 0, misses: 0 });
+  });
+});
+
+describe('buildCachedResults', () => {
+  it('should build an API-shaped response with summary counts', () => {
+    const results = buildCachedResults([
+      { issues: [{ severity: 'high' }, { severity: 'low' }], praises: [] },
+      { issues: [{ severity: 'high' }], praises: [{ message: 'nice' }] },
+    ]);
+
+    expect(results.success).toBe(true);
+    expect(results.data.review.issues).toHaveLength(3);
+    expect(results.data.summary).toEqual({
+      total_issues: 3,
+      total_praises: 1,
+      critical: 0,
+      high: 2,
+      medium: 0,
+      low: 1,
+    });
+  });
+});
@@ -1,5 +1,10 @@
 import Conf from 'conf';
 import dotenv from 'dotenv';
+import chalk from 'chalk';
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { execaSync } from 'execa';
+import { parse as parseYaml } from 'yaml';
 
 // Load .env file if it exists (quietly)
 dotenv.config({ quiet: true });
@@ -9,6 +14,55 @@ const config = new Conf({
   projectName: 'korekt-cli',
 });
 
+/**
+ * Project config file names, checked in order at the repository root
+ */
+export const PROJECT_CONFIG_FILES = ['.korekt.yml', '.korekt.yaml', '.korekt.json'];
+
+/**
+ * Review settings that can be declared per project.
+ * Maps the key used in .korekt.yml (snake_case) to the internal camelCase name,
+ * together with the environment variable that can provide it.
+ */
+const REVIEW_SETTINGS = {
+  ignore: { key: 'ignore', env: 'KOREKT_IGNORE' },
+  target_branch: { key: 'targetBranch', env: 'KOREKT_TARGET_BRANCH' },
+  context_lines: { key: 'contextLines', env: 'KOREKT_CONTEXT_LINES' },
+  max_file_size: { key: 'maxFileSize', env: 'KOREKT_MAX_FILE_SIZE' },
+  max_content_lines: { key: 'maxContentLines', env: 'KOREKT_MAX_CONTENT_LINES' },
+  max_payload_size: { key: 'maxPayloadSize', env: 'KOREKT_MAX_PAYLOAD_SIZE' },
+  output_format: { key: 'outputFormat', env: 'KOREKT_OUTPUT_FORMAT' },
+  default_ignores: { key: 'defaultIgnores', env: 'KOREKT_DEFAULT_IGNORES' },
+  new_content: { key: 'newContent', env: 'KOREKT_NEW_CONTENT' },
+  fail_on_secrets: { key: 'failOnSecrets', env: 'KOREKT_FAIL_ON_SECRETS' },
+  remote: { key: 'remote', env: 'KOREKT_REMOTE' },
+  jobs: { key: 'jobs', env: 'KOREKT_JOBS' },
+  timeout: { key: 'timeout', env: 'KOREKT_TIMEOUT' },
+  retries: { key: 'retries', env: 'KOREKT_RETRIES' },
+};
+
+const OUTPUT_FORMATS = ['text', 'json'];
+
+/**
+ * Number of files whose diff and content are collected in parallel by default
+ */
+export const DEFAULT_JOBS = 8;
+
+/**
+ * Payload size budget in bytes; larger payloads are trimmed before they are sent
+ */
+export const DEFAULT_MAX_PAYLOAD_SIZE = 2 * 1024 * 1024;
+
+/**
+ * Seconds to wait for the review API to respond
+ */
+export const DEFAULT_TIMEOUT = 600;
+
+/**
+ * Times a failed review API call is retried
+ */
+export const DEFAULT_RETRIES = 3;
+
 /**
  * Get the API key from config or environment
  * Priority: 1) config store, 2) .env file
@@ -45,12 +99,183 @@ export function setApiEndpoint(endpoint) {
   config.set('apiEndpoint', endpoint);
 }
 
+/**
+ * Get the HEAD commit recorded by the last review of a branch
+ * @param {string} key - Repository and branch the review was for
+ * @returns {string|null} - Commit SHA, or null if the branch was never reviewed
+ */
+export function getLastReviewedSha(key) {
+  return config.get('lastReviewed')?.[key] || null;
+}
+
+/**
+ * Record the HEAD commit of a branch after it was reviewed
+ * @param {string} key - Repository and branch the review was for
+ * @param {string} sha - The reviewed commit SHA
+ */
+export function setLastReviewedSha(key, sha) {
+  config.set('lastReviewed', { ...config.get('lastReviewed'), [key]: sha });
+}
+
+/**
+ * Validate and coerce a single review setting
+ * @param {string} key - Internal (camelCase) setting name
+ * @param {*} value - Raw value from a config source
+ * @returns {*} - Normalized value, or undefined if the value is missing or invalid
+ */
+export function normalizeSetting(key, value) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+
+  switch (key) {
+    case 'ignore': {
+      const patterns = Array.isArray(value) ? value : String(value).split(',');
+      return patterns.map((pattern) => String(pattern).trim()).filter(Boolean);
+    }
+    case 'contextLines':
+    case 'maxFileSize':
+    case 'maxPayloadSize':
+    case 'timeout':
+    case 'retries': {
+      const number = Number(value);
+      return Number.isInteger(number) && number >= 0 ? number : undefined;
+    }
+    case 'jobs':
+    case 'maxContentLines': {
+      const number = Number(value);
+      return Number.isInteger(number) && number >= 1 ? number : undefined;
+    }
+    case 'defaultIgnores':
+    case 'newContent':
+    case 'failOnSecrets': {
+      if (typeof value === 'boolean') return value;
+      const flag = String(value).toLowerCase();
+      if (['true', '1', 'yes'].includes(flag)) return true;
+      if (['false', '0', 'no'].includes(flag)) return false;
+      return undefined;
+    }
+    case 'outputFormat': {
+      const format = String(value).toLowerCase();
+      return OUTPUT_FORMATS.includes(format) ? format : undefined;
+    }
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * Find the project config file at the repository root
+ * @param {string|null} repoRoot - The repository root directory (defaults to the current repo)
+ * @returns {string|null} - Absolute path to the config file, or null if none exists
+ */
+export function findProjectConfigFile(repoRoot = findRepoRoot()) {
+  if (!repoRoot) return null;
+
+  for (const fileName of PROJECT_CONFIG_FILES) {
+    const filePath = join(repoRoot, fileName);
+    if (existsSync(filePath)) {
+      return filePath;
+    }
+  }
+  return null;
+}
+
+/**
+ * Load the checked-in project config (.korekt.yml / .korekt.json)
+ * Unknown keys and invalid values are ignored with a warning.
+ * @param {string} repoRoot - The repository root directory
+ * @returns {Object} - Review settings keyed by their camelCase names
+ */
+export function loadProjectConfig(repoRoot) {
+  const filePath = findProjectConfigFile(repoRoot);
+  if (!filePath) return {};
+
+  let raw;
+  try {
+    const text = readFileSync(filePath, 'utf8');
+    raw = filePath.endsWith('.json') ? JSON.parse(text) : parseYaml(text);
+  } catch (error) {
+    console.warn(chalk.yellow(`Could not parse ${filePath}:`), error.message);
+    return {};
+  }
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return {};
+  }
+
+  const settings = {};
+  for (const [fileKey, value] of Object.entries(raw)) {
+    // Accept both snake_case and camelCase keys
+    const setting = REVIEW_SETTINGS[fileKey.replace(/[A-Z]/g, (c) => `_${c.toLowerCase()}`)];
+    if (!setting) {
+      console.warn(chalk.yellow(`Unknown key '${fileKey}' in ${filePath}, ignoring.`));
+      continue;
+    }
+
+    const normalized = normalizeSetting(setting.key, value);
+    if (normalized === undefined) {
+      console.warn(chalk.yellow(`Invalid value for '${fileKey}' in ${filePath}, ignoring.`));
+      continue;
+    }
+    settings[setting.key] = normalized;
+  }
+  return settings;
+}
+
+/**
+ * Get the repository root directory, or null when not inside a git repository
+ */
+function findRepoRoot() {
+  try {
+    const { stdout } = execaSync('git', ['rev-parse', '--show-toplevel']);
+    return stdout.trim();
+  } catch {
+    return null;
+  }
+}
+
 /**
  * Get all configuration
+ * Review settings are resolved per key with priority:
+ * 1) CLI flag, 2) project config file, 3) global config store, 4) environment
+ * @param {Object} cliOptions - Settings passed on the command line (camelCase keys)
+ * @param {string|null} repoRoot - Repository root to search for the project config file
+ * @returns {Object} - Resolved configuration
  */
-export function getConfig() {
+export function getConfig(cliOptions = {}, repoRoot = findRepoRoot()) {
+  const projectConfig = loadProjectConfig(repoRoot);
+
+  const settings = {};
+  for (const { key, env } of Object.values(REVIEW_SETTINGS)) {
+    const sources = [cliOptions[key], projectConfig[key], config.get(key), process.env[env]];
+    for (const value of sources) {
+      const normalized = normalizeSetting(key, value);
+      if (normalized !== undefined) {
+        settings[key] = normalized;
+        break;
+      }
+    }
+  }
+
   return {
     apiKey: getApiKey(),
     apiEndpoint: getApiEndpoint(),
+    ignore: settings.ignore || [],
+    targetBranch: settings.targetBranch || null,
+    contextLines: settings.contextLines ?? 15,
+    maxFileSize: settings.maxFileSize ?? null,
+    maxContentLines: settings.maxContentLines ?? 2000,
+    // 0 disables the payload budget
+    maxPayloadSize: settings.maxPayloadSize ?? DEFAULT_MAX_PAYLOAD_SIZE,
+    outputFormat: settings.outputFormat || 'text',
+    defaultIgnores: settings.defaultIgnores ?? true,
+    newContent: settings.newContent ?? false,
+    failOnSecrets: settings.failOnSecrets ?? false,
+    remote: settings.remote || null,
+    jobs: settings.jobs ?? DEFAULT_JOBS,
+    // 0 disables the timeout
+    timeout: settings.timeout ?? DEFAULT_TIMEOUT,
+    retries: settings.retries ?? DEFAULT_RETRIES,
   };
 }
@@ -0,0 +1,173 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { getConfig, loadProjectConfig, findProjectConfigFile, normalizeSetting } from './config.js';
+
+vi.mock('conf', () => ({
+  default: class {
+    constructor() {
+      this.store = {};
+    }
+    get(key) {
+      return this.store[key];
+    }
+    set(key, value) {
+      this.store[key] = value;
+    }
+  },
+}));
+
+describe('project config file', () => {
+  let repoRoot;
+
+  beforeEach(() => {
+    repoRoot = mkdtempSync(join(tmpdir(), 'korekt-config-'));
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    rmSync(repoRoot, { recursive: true, force: true });
+    vi.restoreAllMocks();
+    vi.unstubAllEnvs();
+  });
+
+  it('should return null when no config file exists', () => {
+    expect(findProjectConfigFile(repoRoot)).toBeNull();
+    expect(loadProjectConfig(repoRoot)).toEqual({});
+  });
+
+  it('should load settings from .korekt.yml', () => {
+    writeFileSync(
+      join(repoRoot, '.korekt.yml'),
+      [
+        'ignore:',
+        '  - "*.lock"',
+        '  - "dist/*"',
+        'target_branch: develop',
+        'context_lines: 5',
+        'max_file_size: 100000',
+        'output_format: json',
+      ].join('\n')
+    );
+
+    expect(loadProjectConfig(repoRoot)).toEqual({
+      ignore: ['*.lock', 'dist/*'],
+      targetBranch: 'develop',
+      contextLines: 5,
+      maxFileSize: 100000,
+      outputFormat: 'json',
+    });
+  });
+
+  it('should load settings from .korekt.json with camelCase keys', () => {
+    writeFileSync(
+      join(repoRoot, '.korekt.json'),
+      JSON.stringify({ ignore: ['*.snap'], targetBranch: 'main' })
+    );
+
+    expect(loadProjectConfig(repoRoot)).toEqual({ ignore: ['*.snap'], targetBranch: 'main' });
+  });
+
+  it('should prefer .korekt.yml over .korekt.json', () => {
+    writeFileSync(join(repoRoot, '.korekt.yml'), 'target_branch: from-yaml');
+    writeFileSync(join(repoRoot, '.korekt.json'), '{"target_branch": "from-json"}');
+
+    expect(findProjectConfigFile(repoRoot)).toBe(join(repoRoot, '.korekt.yml'));
+    expect(loadProjectConfig(repoRoot).targetBranch).toBe('from-yaml');
+  });
+
+  it('should warn and skip unknown keys and invalid values', () => {
+    writeFileSync(
+      join(repoRoot, '.korekt.yml'),
+      'api_key: secret\ncontext_lines: lots\noutput_format: xml\ntarget_branch: main'
+    );
+
+    expect(loadProjectConfig(repoRoot)).toEqual({ targetBranch: 'main' });
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining("Unknown key 'api_key'"));
+    expect(console.warn).toHaveBeenCalledWith(
+      expect.stringContaining("Invalid value for 'context_lines'")
+    );
+  });
+
+  it('should warn and return empty settings for malformed files', () => {
+    writeFileSync(join(repoRoot, '.korekt.json'), '{ not json');
+
+    expect(loadProjectConfig(repoRoot)).toEqual({});
+    expect(console.warn).toHaveBeenCalled();
+  });
+
+  it('should apply precedence: CLI > project file > env', () => {
+    writeFileSync(join(repoRoot, '.korekt.yml'), 'target_branch: develop\ncontext_lines: 5');
+    vi.stubEnv('KOREKT_TARGET_BRANCH', 'env-branch');
+    vi.stubEnv('KOREKT_CONTEXT_LINES', '8');
+    vi.stubEnv('KOREKT_IGNORE', '*.lock, dist/*');
+
+    const config = getConfig({ contextLines: '3' }, repoRoot);
+
+    expect(config.contextLines).toBe(3); // CLI flag wins
+    expect(config.targetBranch).toBe('develop'); // Project file beats env
+    expect(config.ignore).toEqual(['*.lock', 'dist/*']); // Only set in env
+  });
+
+  it('should fall back to defaults when nothing is configured', () => {
+    const config = getConfig({}, repoRoot);
+
+    expect(config.ignore).toEqual([]);
+    expect(config.targetBranch).toBeNull();
+    expect(config.contextLines).toBe(15);
+    expect(config.maxFileSize).toBeNull();
+    expect(config.outputFormat).toBe('text');
+    expect(config.remote).toBeNull();
+    expect(config.timeout).toBe(600);
+    expect(config.retries).toBe(3);
+  });
+
+  it('should read the remote from the project file or KOREKT_REMOTE', () => {
+    vi.stubEnv('KOREKT_REMOTE', 'fork');
+    expect(getConfig({}, repoRoot).remote).toBe('fork');
+
+    writeFileSync(join(repoRoot, '.korekt.yml'), 'remote: upstream');
+    expect(getConfig({}, repoRoot).remote).toBe('upstream');
+  });
+});
+
+describe('normalizeSetting', () => {
+  it('should split comma-separated ignore patterns', () => {
+    expect(normalizeSetting('ignore', '*.lock,dist/*')).toEqual(['*.lock', 'dist/*']);
+  });
+
+  it('should reject negative or non-integer numbers', () => {
+    expect(normalizeSetting('contextLines', '-1')).toBeUndefined();
+    expect(normalizeSetting('maxFileSize', '1.5')).toBeUndefined();
+    expect(normalizeSetting('contextLines', '0')).toBe(0);
+  });
+
+  it('should accept 0 as a payload budget meaning no limit', () => {
+    expect(normalizeSetting('maxPayloadSize', '0')).toBe(0);
+    expect(normalizeSetting('maxPayloadSize', '-5')).toBeUndefined();
+  });
+
+  it('should accept 0 to disable the API timeout and retries', () => {
+    expect(normalizeSetting('timeout', '0')).toBe(0);
+    expect(normalizeSetting('timeout', '90')).toBe(90);
+    expect(normalizeSetting('retries', '0')).toBe(0);
+    expect(normalizeSetting('retries', 'many')).toBeUndefined();
+  });
+
+  it('should require at least one job', () => {
+    expect(normalizeSetting('jobs', '0')).toBeUndefined();
+    expect(normalizeSetting('jobs', '4')).toBe(4);
+  });
+
+  it('should parse new_content and fail_on_secrets as booleans', () => {
+    expect(normalizeSetting('newContent', 'true')).toBe(true);
+    expect(normalizeSetting('newContent', false)).toBe(false);
+    expect(normalizeSetting('failOnSecrets', 'yes')).toBe(true);
+  });
+
+  it('should treat empty values as unset', () => {
+    expect(normalizeSetting('targetBranch', '')).toBeUndefined();
+    expect(normalizeSetting('targetBranch', null)).toBeUndefined();
+  });
+});
@@ -0,0 +1,419 @@
+/**
+ * Parser for git's unified diff output.
+ *
+ * parseDiff() turns the text of `git diff` (one or many files) into:
+ *
+ *   {
+ *     oldPath, newPath,            // null for /dev/null
+ *     status,                      // 'added' | 'deleted' | 'modified' | 'renamed' | 'copied'
+ *     oldMode, newMode,            // e.g. '100644', null when not reported
+ *     binary,                      // true for "Binary files ... differ" and GIT binary patches
+ *     additions, deletions,
+ *     hunks: [{
+ *       header,                    // the full "@@ -a,b +c,d @@ section" line
+ *       oldStart, oldLines, newStart, newLines, section,
+ *       lines: [{ type, content, oldLine, newLine, noNewlineAtEnd }]
+ *     }]
+ *   }
+ *
+ * Line types are 'add', 'delete' and 'context'. oldLine is null for added lines and newLine
+ * is null for deleted lines. noNewlineAtEnd is set on the line that a
+ * "\ No newline at end of file" marker refers to.
+ */
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@ ?(.*)$/;
+
+const LINE_TYPES = {
+  '+': 'add',
+  '-': 'delete',
+  ' ': 'context',
+};
+
+/**
+ * Undo git's C-style quoting of paths with special characters ("a/caf\303\251.txt")
+ * @param {string} path - Path as printed by git, possibly quoted
+ * @returns {string} - The unquoted path
+ */
+function unquotePath(path) {
+  if (!path.startsWith('"') || !path.endsWith('"')) {
+    return path;
+  }
+
+  const bytes = [];
+  const body = path.slice(1, -1);
+  const escapes = { n: 10, t: 9, r: 13, b: 8, f: 12, v: 11, a: 7, '"': 34, '\\': 92 };
+  for (let i = 0; i < body.length; i++) {
+    if (body[i] !== '\\') {
+      bytes.push(...Buffer.from(body[i], 'utf8'));
+    } else if (/[0-7]{3}/.test(body.slice(i + 1, i + 4))) {
+      bytes.push(parseInt(body.slice(i + 1, i + 4), 8));
+      i += 3;
+    } else {
+      bytes.push(escapes[body[i + 1]] ?? body.charCodeAt(i + 1));
+      i += 1;
+    }
+  }
+  return Buffer.from(bytes).toString('utf8');
+}
+
+/**
+ * Strip the a/ or b/ prefix from a path in a ---/+++ line or diff --git header
+ * @param {string} raw - Path as printed by git
+ * @returns {string|null} - The repository path, or null for /dev/null
+ */
+function parsePath(raw) {
+  const path = unquotePath(raw.replace(/\t.*$/, '').trim());
+  if (path === '/dev/null') return null;
+  return path.replace(/^[ab]\//, '');
+}
+
+/**
+ * Get both paths from a "diff --git a/x b/y" header. Unquoted paths containing " b/"
+ * are ambiguous, so the header is only split where both halves name the same file;
+ * ---/+++ and rename lines later override these paths when present.
+ * @param {string} line - The header line
+ * @returns {Object} - { oldPath, newPath }
+ */
+function parseGitHeader(line) {
+  const rest = line.slice('diff --git '.length);
+
+  const quoted = rest.match(/^("(?:[^"\\]|\\.)*"|\S+) ("(?:[^"\\]|\\.)*"|\S+)$/);
+  if (quoted && (quoted[1].startsWith('"') || quoted[2].startsWith('"'))) {
+    return { oldPath: parsePath(quoted[1]), newPath: parsePath(quoted[2]) };
+  }
+
+  const half = (rest.length - 1) / 2;
+  if (Number.isInteger(half) && rest[half] === ' ') {
+    const oldPath = parsePath(rest.slice(0, half));
+    const newPath = parsePath(rest.slice(half + 1));
+    if (oldPath === newPath) {
+      return { oldPath, newPath };
+    }
+  }
+
+  const split = rest.indexOf(' b/');
+  return split === -1
+    ? { oldPath: null, newPath: null }
+    : { oldPath: parsePath(rest.slice(0, split)), newPath: parsePath(rest.slice(split + 1)) };
+}
+
+function createFile(oldPath = null, newPath = null) {
+  return {
+    oldPath,
+    newPath,
+    status: 'modified',
+    oldMode: null,
+    newMode: null,
+    binary: false,
+    additions: 0,
+    deletions: 0,
+    hunks: [],
+  };
+}
+
+/**
+ * Parse git unified diff output into files, hunks and numbered lines.
+ * Tolerates truncated input: an unexpected line simply ends the current hunk.
+ * @param {string} diffText - Output of git diff (one or more files)
+ * @returns {Array} - Parsed files (see the module comment for their shape)
+ */
+export function parseDiff(diffText) {
+  const files = [];
+  let file = null;
+  let hunk = null;
+  let oldLine = 0;
+  let newLine = 0;
+  let oldRemaining = 0;
+  let newRemaining = 0;
+  let inBinaryPatch = false;
+
+  const startFile = (oldPath, newPath) => {
+    file = createFile(oldPath, newPath);
+    files.push(file);
+    hunk = null;
+    oldRemaining = 0;
+    newRemaining = 0;
+    inBinaryPatch = false;
+  };
+
+  for (const line of (diffText || '').split('\n')) {
+    const inHunk = hunk && (oldRemaining > 0 || newRemaining > 0);
+
+    // Hunk body - counted, so deleted lines starting with "--" are not mistaken for headers
+    if (inHunk) {
+      // Some tools strip the leading space of empty context lines
+      const marker = line === '' ? ' ' : line[0];
+      const type = LINE_TYPES[marker];
+      if (type) {
+        const entry = {
+          type,
+          content: line.slice(1),
+          oldLine: type === 'add' ? null : oldLine,
+          newLine: type === 'delete' ? null : newLine,
+        };
+        hunk.lines.push(entry);
+
+        if (type !== 'add') {
+          oldLine++;
+          oldRemaining--;
+        }
+        if (type !== 'delete') {
+          newLine++;
+          newRemaining--;
+        }
+        if (type === 'add') file.additions++;
+        if (type === 'delete') file.deletions++;
+        continue;
+      }
+      if (line.startsWith('\\')) {
+        markNoNewline(hunk);
+        continue;
+      }
+      // Anything else means the diff was cut short
+      oldRemaining = 0;
+      newRemaining = 0;
+    }
+
+    if (line.startsWith('\\') && hunk) {
+      // Marker right after the last line of a hunk
+      markNoNewline(hunk);
+      continue;
+    }
+
+    if (line.startsWith('diff --git ')) {
+      const { oldPath, newPath } = parseGitHeader(line);
+      startFile(oldPath, newPath);
+      continue;
+    }
+
+    if (inBinaryPatch) {
+      continue;
+    }
+
+    const hunkMatch = line.match(HUNK_HEADER);
+    if (hunkMatch) {
+      if (!file) startFile();
+      const [, oldStart, oldCount, newStart, newCount, section] = hunkMatch;
+      hunk = {
+        header: line,
+        oldStart: Number(oldStart),
+        oldLines: oldCount === undefined ? 1 : Number(oldCount),
+        newStart: Number(newStart),
+        newLines: newCount === undefined ? 1 : Number(newCount),
+        section: section || '',
+        lines: [],
+      };
+      file.hunks.push(hunk);
+      oldLine = hunk.oldStart;
+      newLine = hunk.newStart;
+      oldRemaining = hunk.oldLines;
+      newRemaining = hunk.newLines;
+      continue;
+    }
+
+    if (line.startsWith('--- ')) {
+      // A plain unified diff without a "diff --git" header starts a new file here
+      if (!file || file.hunks.length > 0) startFile();
+      file.oldPath = parsePath(line.slice(4));
+      if (file.oldPath === null) file.status = 'added';
+      continue;
+    }
+
+    if (!file) continue;
+
+    if (line.startsWith('+++ ')) {
+      file.newPath = parsePath(line.slice(4));
+      if (file.newPath === null) file.status = 'deleted';
+    } else if (line.startsWith('new file mode ')) {
+      file.status = 'added';
+      file.newMode = line.slice('new file mode '.length);
+    } else if (line.startsWith('deleted file mode ')) {
+      file.status = 'deleted';
+      file.oldMode = line.slice('deleted file mode '.length);
+    } else if (line.startsWith('old mode ')) {
+      file.oldMode = line.slice('old mode '.length);
+    } else if (line.startsWith('new mode ')) {
+      file.newMode = line.slice('new mode '.length);
+    } else if (line.startsWith('rename from ')) {
+      file.status = 'renamed';
+      file.oldPath = unquotePath(line.slice('rename from '.length));
+    } else if (line.startsWith('rename to ')) {
+      file.newPath = unquotePath(line.slice('rename to '.length));
+    } else if (line.startsWith('copy from ')) {
+      file.status = 'copied';
+      file.oldPath = unquotePath(line.slice('copy from '.length));
+    } else if (line.startsWith('copy to ')) {
+      file.newPath = unquotePath(line.slice('copy to '.length));
+    } else if (line.startsWith('index ')) {
+      // "index abc123..def456 100644" carries the mode when it did not change
+      const mode = line.split(' ')[2];
+      if (mode) {
+        file.oldMode = file.oldMode || mode;
+        file.newMode = file.newMode || mode;
+      }
+    } else if (line.startsWith('Binary files ') && line.endsWith(' differ')) {
+      file.binary = true;
+    } else if (line === 'GIT binary patch') {
+      file.binary = true;
+      inBinaryPatch = true;
+    }
+  }
+
+  // An added file has no old path and a deleted file no new path
+  for (const parsed of files) {
+    if (parsed.status === 'added') parsed.oldPath = null;
+    if (parsed.status === 'deleted') parsed.newPath = null;
+  }
+
+  return files;
+}
+
+/**
+ * Flag the last line of a hunk as lacking a trailing newline
+ * @param {Object} hunk - The hunk the marker belongs to
+ */
+function markNoNewline(hunk) {
+  const last = hunk.lines[hunk.lines.length - 1];
+  if (last) {
+    last.noNewlineAtEnd = true;
+  }
+}
+
+/**
+ * Count added and deleted lines across a diff
+ * @param {string} diffText - Output of git diff (one or more files)
+ * @returns {Object} - { additions, deletions }
+ */
+export function countChanges(diffText) {
+  return parseDiff(diffText).reduce(
+    (totals, file) => ({
+      additions: totals.additions + file.additions,
+      deletions: totals.deletions + file.deletions,
+    }),
+    { additions: 0, deletions: 0 }
+  );
+}
+
+/**
+ * Where a reported line sits relative to the diff that was reviewed
+ */
+export const DIFF_LOCATIONS = {
+  CHANGED: 'changed',
+  CONTEXT: 'context',
+  OUTSIDE: 'outside_diff',
+};
+
+/**
+ * Classify a line number of a parsed file against its hunks. Line numbers refer to
+ * the new version of the file, or to the old version when the file was deleted.
+ * @param {Object} file - A file returned by parseDiff
+ * @param {number} lineNumber - 1-based line number
+ * @returns {string} - One of DIFF_LOCATIONS
+ */
+export function locateLine(file, lineNumber) {
+  const side = file.status === 'deleted' ? 'oldLine' : 'newLine';
+  for (const hunk of file.hunks) {
+    const line = hunk.lines.find((entry) => entry[side] === lineNumber);
+    if (line) {
+      return line.type === 'context' ? DIFF_LOCATIONS.CONTEXT : DIFF_LOCATIONS.CHANGED;
+    }
+  }
+  return DIFF_LOCATIONS.OUTSIDE;
+}
+
+/**
+ * Add a diff_location to every issue in an API response by mapping its file and line
+ * against the diffs of the payload that was sent. Issues without a line are left as-is.
+ * @param {Object} results - The API response ({ data: { review: { issues } } })
+ * @param {Array} changedFiles - The payload's changed_files
+ * @returns {Object} - A copy of the response with annotated issues
+ */
+export function annotateIssueLocations(results, changedFiles) {
+  const issues = results?.data?.review?.issues;
+  if (!Array.isArray(issues)) {
+    return results;
+  }
+
+  const normalizePath = (path) => String(path).replace(/^(\.\/|\/)+/, '');
+  const filesByPath = new Map(
+    changedFiles.map((file) => [normalizePath(file.path), parseDiff(file.diff)[0] || null])
+  );
+
+  const annotated = issues.map((issue) => {
+    const lineNumber = Number(issue.line_number);
+    if (!issue.file_path || !Number.isInteger(lineNumber) || lineNumber < 1) {
+      return issue;
+    }
+
+    const file = filesByPath.get(normalizePath(issue.file_path));
+    return {
+      ...issue,
+      diff_location: file ? locateLine(file, lineNumber) : DIFF_LOCATIONS.OUTSIDE,
+    };
+  });
+
+  return {
+    ...results,
+    data: { ...results.data, review: { ...results.data.review, issues: annotated } },
+  };
+}
+
+/**
+ * Get the line ranges a file's changes touch, merged and sorted. On the old side,
+ * an insertion is anchored to the lines around it; on the new side, a deletion is.
+ * @param {Object} file - A file returned by parseDiff
+ * @param {string} side - 'old' for the base version of the file, 'new' for the changed one
+ * @returns {Array} - [start, end] pairs of 1-based, inclusive line numbers
+ */
+export function getChangedRanges(file, side = 'old') {
+  // Changed lines that exist in our version of the file
+  const own = side === 'old' ? 'delete' : 'add';
+  const key = side === 'old' ? 'oldLine' : 'newLine';
+  const ranges = [];
+
+  for (const hunk of file.hunks) {
+    // Line number on our side that the next line of the hunk would have
+    let cursor = side === 'old' ? hunk.oldStart : hunk.newStart;
+    if ((side === 'old' ? hunk.oldLines : hunk.newLines) === 0) {
+      cursor++; // Empty ranges point at the line before the change
+    }
+
+    // Walk runs of consecutive changed lines; a run with lines on our side is a
+    // replacement and covers just those lines, otherwise it is anchored at the cursor
+    let run = [];
+    const flush = () => {
+      const ownLines = run.filter((line) => line.type === own);
+      if (ownLines.length > 0) {
+        ranges.push([ownLines[0][key], ownLines[ownLines.length - 1][key]]);
+      } else if (run.length > 0) {
+        ranges.push([Math.max(cursor - 1, 1), cursor]);
+      }
+      run = [];
+    };
+
+    for (const line of hunk.lines) {
+      if (line.type === 'context') {
+        flush();
+        cursor = line[key] + 1;
+        continue;
+      }
+      run.push(line);
+      if (line.type === own) {
+        cursor = line[key] + 1;
+      }
+    }
+    flush();
+  }
+
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const [start, end] of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1] + 1) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  }
+  return merged;
+}
@@ -0,0 +1,394 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseDiff,
+  countChanges,
+  locateLine,
+  getChangedRanges,
+  annotateIssueLocations,
+  DIFF_LOCATIONS,
+} from './diff-parser.js';
+
+describe('parseDiff', () => {
+  it('should number old and new lines in each hunk', () => {
+    const [file] = parseDiff(
+      [
+        'diff --git a/src/app.js b/src/app.js',
+        'index 1234567..89abcde 100644',
+        '--- a/src/app.js',
+        '+++ b/src/app.js',
+        '@@ -10,4 +10,5 @@ function main() {',
+        ' const a = 1;',
+        '-const b = 2;',
+        '+const b = 3;',
+        '+const c = 4;',
+        ' return a;',
+        ' }',
+      ].join('\n')
+    );
+
+    expect(file).toMatchObject({
+      oldPath: 'src/app.js',
+      newPath: 'src/app.js',
+      status: 'modified',
+      oldMode: '100644',
+      newMode: '100644',
+      binary: false,
+      additions: 2,
+      deletions: 1,
+    });
+    expect(file.hunks).toHaveLength(1);
+    expect(file.hunks[0]).toMatchObject({
+      oldStart: 10,
+      oldLines: 4,
+      newStart: 10,
+      newLines: 5,
+      section: 'function main() {',
+    });
+    expect(file.hunks[0].lines).toEqual([
+      { type: 'context', content: 'const a = 1;', oldLine: 10, newLine: 10 },
+      { type: 'delete', content: 'const b = 2;', oldLine: 11, newLine: null },
+      { type: 'add', content: 'const b = 3;', oldLine: null, newLine: 11 },
+      { type: 'add', content: 'const c = 4;', oldLine: null, newLine: 12 },
+      { type: 'context', content: 'return a;', oldLine: 12, newLine: 13 },
+      { type: 'context', content: '}', oldLine: 13, newLine: 14 },
+    ]);
+  });
+
+  it('should split multi-file diffs and default omitted hunk counts to 1', () => {
+    const files = parseDiff(
+      [
+        'diff --git a/a.txt b/a.txt',
+        '--- a/a.txt',
+        '+++ b/a.txt',
+        '@@ -1 +1 @@',
+        '-old',
+        '+new',
+        'diff --git a/b.txt b/b.txt',
+        '--- a/b.txt',
+        '+++ b/b.txt',
+        '@@ -3,0 +4,2 @@',
+        '+x',
+        '+y',
+      ].join('\n')
+    );
+
+    expect(files.map((file) => file.newPath)).toEqual(['a.txt', 'b.txt']);
+    expect(files[0].hunks[0]).toMatchObject({ oldLines: 1, newLines: 1 });
+    expect(files[1].hunks[0].lines.map((line) => line.newLine)).toEqual([4, 5]);
+  });
+
+  it('should not mistake deleted lines starting with dashes for file headers', () => {
+    const [file, ...rest] = parseDiff(
+      [
+        'diff --git a/schema.sql b/schema.sql',
+        '--- a/schema.sql',
+        '+++ b/schema.sql',
+        '@@ -1,2 +1,2 @@',
+        '--- old comment',
+        '+++ new comment',
+        ' SELECT 1;',
+      ].join('\n')
+    );
+
+    expect(rest).toHaveLength(0);
+    expect(file.deletions).toBe(1);
+    expect(file.additions).toBe(1);
+    expect(file.hunks[0].lines[0]).toMatchObject({ type: 'delete', content: '-- old comment' });
+  });
+
+  it('should flag lines followed by a no-newline marker', () => {
+    const [file] = parseDiff(
+      [
+        'diff --git a/a.txt b/a.txt',
+        '--- a/a.txt',
+        '+++ b/a.txt',
+        '@@ -1 +1 @@',
+        '-last',
+        '\\ No newline at end of file',
+        '+last',
+      ].join('\n')
+    );
+
+    const [removed, added] = file.hunks[0].lines;
+    expect(removed.noNewlineAtEnd).toBe(true);
+    expect(added.noNewlineAtEnd).toBeUndefined();
+    expect(file.additions + file.deletions).toBe(2);
+  });
+
+  it('should detect added and deleted files', () => {
+    const [added, deleted] = parseDiff(
+      [
+        'diff --git a/new.js b/new.js',
+        'new file mode 100755',
+        'index 0000000..1234567',
+        '--- /dev/null',
+        '+++ b/new.js',
+        '@@ -0,0 +1 @@',
+        '+#!/usr/bin/env node',
+        'diff --git a/old.js b/old.js',
+        'deleted file mode 100644',
+        'index 1234567..0000000',
+        '--- a/old.js',
+        '+++ /dev/null',
+        '@@ -1 +0,0 @@',
+        '-gone',
+      ].join('\n')
+    );
+
+    expect(added).toMatchObject({
+      status: 'added',
+      oldPath: null,
+      newPath: 'new.js',
+      newMode: '100755',
+    });
+    expect(added.hunks[0].lines[0]).toMatchObject({ type: 'add', newLine: 1 });
+    expect(deleted).toMatchObject({
+      status: 'deleted',
+      oldPath: 'old.js',
+      newPath: null,
+      oldMode: '100644',
+    });
+  });
+
+  it('should handle mode-only changes and renames without hunks', () => {
+    const [chmod, renamed] = parseDiff(
+      [
+        'diff --git a/run.sh b/run.sh',
+        'old mode 100644',
+        'new mode 100755',
+        'diff --git a/old name.js b/new name.js',
+        'similarity index 100%',
+        'rename from old name.js',
+        'rename to new name.js',
+      ].join('\n')
+    );
+
+    expect(chmod).toMatchObject({
+      oldPath: 'run.sh',
+      newPath: 'run.sh',
+      status: 'modified',
+      oldMode: '100644',
+      newMode: '100755',
+      hunks: [],
+    });
+    expect(renamed).toMatchObject({
+      oldPath: 'old name.js',
+      newPath: 'new name.js',
+      status: 'renamed',
+      hunks: [],
+    });
+  });
+
+  it('should mark binary files and skip binary patch data', () => {
+    const [image, patched, after] = parseDiff(
+      [
+        'diff --git a/logo.png b/logo.png',
+        'index 1234567..89abcde 100644',
+        'Binary files a/logo.png and b/logo.png differ',
+        'diff --git a/font.woff b/font.woff',
+        'new file mode 100644',
+        'index 0000000..1234567',
+        'GIT binary patch',
+        'literal 12',
+        '@@ -1 +1 @@ looks like a hunk but is data',
+        '',
+        'diff --git a/a.txt b/a.txt',
+        '--- a/a.txt',
+        '+++ b/a.txt',
+        '@@ -1 +1 @@',
+        '-a',
+        '+b',
+      ].join('\n')
+    );
+
+    expect(image).toMatchObject({ binary: true, hunks: [] });
+    expect(patched).toMatchObject({ binary: true, status: 'added', hunks: [] });
+    expect(after).toMatchObject({ binary: false, additions: 1, deletions: 1 });
+  });
+
+  it('should unquote paths with special characters', () => {
+    const [file] = parseDiff(
+      [
+        'diff --git "a/caf\\303\\251 \\"menu\\".txt" "b/caf\\303\\251 \\"menu\\".txt"',
+        '--- "a/caf\\303\\251 \\"menu\\".txt"',
+        '+++ "b/caf\\303\\251 \\"menu\\".txt"',
+        '@@ -1 +1 @@',
+        '-a',
+        '+b',
+      ].join('\n')
+    );
+
+    expect(file.newPath).toBe('café "menu".txt');
+    expect(file.oldPath).toBe('café "menu".txt');
+  });
+
+  it('should parse plain unified diffs without a git header', () => {
+    const files = parseDiff(
+      ['--- a/one.txt', '+++ b/one.txt', '@@ -1 +1 @@', '-a', '+b'].join('\n') +
+        '\n' +
+        ['--- a/two.txt', '+++ b/two.txt', '@@ -1 +1 @@', '-c', '+d'].join('\n')
+    );
+
+    expect(files.map((file) => file.newPath)).toEqual(['one.txt', 'two.txt']);
+  });
+
+  it('should stop a hunk early when the diff was truncated', () => {
+    const [file] = parseDiff(
+      [
+        'diff --git a/big.js b/big.js',
+        '--- a/big.js',
+        '+++ /dev/null',
+        '@@ -1,1000 +0,0 @@',
+        '-line 1',
+        '',
+        '... [truncated] ...',
+        '',
+        '-line 1000',
+      ].join('\n')
+    );
+
+    // The blank line inside the hunk is read as a stripped context line
+    expect(file.hunks[0].lines.map((line) => line.type)).toEqual(['delete', 'context']);
+    expect(file.deletions).toBe(1);
+  });
+
+  it('should return an empty list for empty input', () => {
+    expect(parseDiff('')).toEqual([]);
+    expect(parseDiff(null)).toEqual([]);
+  });
+});
+
+describe('countChanges', () => {
+  it('should total additions and deletions across files', () => {
+    const diff = [
+      'diff --git a/a.txt b/a.txt',
+      '@@ -1,2 +1 @@',
+      '-a',
+      '-b',
+      '+c',
+      'diff --git a/b.txt b/b.txt',
+      '@@ -0,0 +1 @@',
+      '+d',
+    ].join('\n');
+
+    expect(countChanges(diff)).toEqual({ additions: 2, deletions: 2 });
+  });
+});
+
+describe('locateLine', () => {
+  const [modified, deleted] = parseDiff(
+    [
+      'diff --git a/app.js b/app.js',
+      '--- a/app.js',
+      '+++ b/app.js',
+      '@@ -5,3 +5,3 @@',
+      ' keep',
+      '-old',
+      '+new',
+      ' keep',
+      'diff --git a/gone.js b/gone.js',
+      'deleted file mode 100644',
+      '--- a/gone.js',
+      '+++ /dev/null',
+      '@@ -1,2 +0,0 @@',
+      '-a',
+      '-b',
+    ].join('\n')
+  );
+
+  it('should classify lines of the new file version', () => {
+    expect(locateLine(modified, 6)).toBe(DIFF_LOCATIONS.CHANGED);
+    expect(locateLine(modified, 5)).toBe(DIFF_LOCATIONS.CONTEXT);
+    expect(locateLine(modified, 40)).toBe(DIFF_LOCATIONS.OUTSIDE);
+  });
+
+  it('should use old line numbers for deleted files', () => {
+    expect(locateLine(deleted, 2)).toBe(DIFF_LOCATIONS.CHANGED);
+    expect(locateLine(deleted, 3)).toBe(DIFF_LOCATIONS.OUTSIDE);
+  });
+});
+
+describe('annotateIssueLocations', () => {
+  const changedFiles = [
+    {
+      path: 'src/app.js',
+      status: 'M',
+      diff: 'diff --git a/src/app.js b/src/app.js\n@@ -1,2 +1,2 @@\n ctx\n-old\n+new',
+    },
+  ];
+
+  it('should tag each issue with its diff location', () => {
+    const results = {
+      success: true,
+      data: {
+        summary: { total_issues: 4 },
+        review: {
+          praises: [],
+          issues: [
+            { file_path: 'src/app.js', line_number: 2, message: 'changed' },
+            { file_path: './src/app.js', line_number: 1, message: 'context' },
+            { file_path: 'src/app.js', line_number: 90, message: 'far away' },
+            { file_path: 'src/other.js', line_number: 1, message: 'not reviewed' },
+          ],
+        },
+      },
+    };
+
+    const annotated = annotateIssueLocations(results, changedFiles);
+
+    expect(annotated.data.review.issues.map((issue) => issue.diff_location)).toEqual([
+      'changed',
+      'context',
+      'outside_diff',
+      'outside_diff',
+    ]);
+    expect(annotated.data.summary).toBe(results.data.summary);
+    expect(results.data.review.issues[0].diff_location).toBeUndefined();
+  });
+
+  it('should leave issues without a line number and responses without issues untouched', () => {
+    const issue = { file_path: 'src/app.js', line_number: null, message: 'general' };
+    const annotated = annotateIssueLocations(
+      { data: { review: { issues: [issue] } } },
+      changedFiles
+    );
+
+    expect(annotated.data.review.issues[0]).toBe(issue);
+    expect(annotateIssueLocations({ success: false }, changedFiles)).toEqual({ success: false });
+  });
+});
+
+describe('getChangedRanges', () => {
+  const [file] = parseDiff(
+    [
+      'diff --git a/app.js b/app.js',
+      '@@ -3,0 +4,2 @@',
+      '+inserted 1',
+      '+inserted 2',
+      '@@ -10,3 +12,2 @@',
+      ' keep',
+      '-removed',
+      ' keep',
+      '@@ -20,2 +21,2 @@',
+      '-old',
+      '+new',
+      ' keep',
+    ].join('\n')
+  );
+
+  it('should anchor insertions between the surrounding old lines', () => {
+    expect(getChangedRanges(file, 'old')).toEqual([
+      [3, 4],
+      [11, 11],
+      [20, 20],
+    ]);
+  });
+
+  it('should anchor deletions between the surrounding new lines', () => {
+    expect(getChangedRanges(file, 'new')).toEqual([
+      [4, 5],
+      [12, 13],
+      [21, 21],
+    ]);
+  });
+});
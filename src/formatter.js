@@ -1,6 +1,7 @@
 import chalk from 'chalk';
 import path from 'path';
 import { execaSync } from 'execa';
+import { DIFF_LOCATIONS } from './diff-parser.js';
 
 // Emojis and colors inspired by the provided ADO script
 const SEVERITY_ICONS = {
@@ -34,6 +35,12 @@ const CATEGORY_ICONS = {
   default: '⚙️', // Default icon
 };
 
+// Labels for issues whose line is not one of the changed lines
+const DIFF_LOCATION_LABELS = {
+  [DIFF_LOCATIONS.CONTEXT]: chalk.gray('[context line]'),
+  [DIFF_LOCATIONS.OUTSIDE]: chalk.yellow('[outside diff]'),
+};
+
 /**
  * Capitalize and replace underscores for category display.
  * @param {string} category
@@ -72,33 +79,36 @@ function toAbsolutePath(filePath) {
 }
 
 /**
- * Format and display the API response in the new, detailed style.
+ * Render the API response in the new, detailed style.
+ * Issues annotated by annotateIssueLocations are labelled when they are not on a changed line.
  * @param {Object} data - The API response data
+ * @returns {string} - The formatted review, colored with chalk
  */
-export function formatReviewOutput(data) {
+export function renderReviewOutput(data) {
   const { review, summary } = data.data;
+  const lines = [];
 
-  console.log(chalk.bold.blue('🤖 Automated Code Review Results\n'));
+  lines.push(chalk.bold.blue('🤖 Automated Code Review Results\n'));
 
   // --- Praises Section ---
   if (review && review.praises && review.praises.length > 0) {
-    console.log(chalk.bold.magenta(`✨ Praises (${summary.total_praises})`));
+    lines.push(chalk.bold.magenta(`✨ Praises (${summary.total_praises})`));
     review.praises.forEach((praise) => {
       const formattedCategory = formatCategory(praise.category);
       const absolutePath = toAbsolutePath(praise.file_path);
-      console.log(
+      lines.push(
         `  ✅ ${chalk.green.bold(formattedCategory)} in ${absolutePath}:${praise.line_number}`
       );
-      console.log(`     ${praise.message}\n`);
+      lines.push(`     ${praise.message}\n`);
     });
   }
 
   // --- Issues Section ---
   if (review && review.issues && review.issues.length > 0) {
-    console.log(chalk.bold.red(`⚠️  Issues Found (${summary.total_issues})`));
+    lines.push(chalk.bold.red(`⚠️  Issues Found (${summary.total_issues})`));
 
     // Severity Summary Table
-    console.log(chalk.underline('Severity Count:'));
+    lines.push(chalk.underline('Severity Count:'));
     const severities = ['critical', 'high', 'medium', 'low'];
     severities.forEach((severity) => {
       const count = summary[severity] || 0;
@@ -106,10 +116,10 @@ export function formatReviewOutput(data) {
         const icon = SEVERITY_ICONS[severity];
         const color = SEVERITY_COLORS[severity];
         const label = severity.charAt(0).toUpperCase() + severity.slice(1);
-        console.log(`${icon} ${color(label)}: ${count}`);
+        lines.push(`${icon} ${color(label)}: ${count}`);
       }
     });
-    console.log(''); // Newline for spacing
+    lines.push(''); // Newline for spacing
 
     // Issues Details
     review.issues.forEach((issue, index) => {
@@ -118,30 +128,43 @@ export function formatReviewOutput(data) {
       const categoryIcon = CATEGORY_ICONS[issue.category] || CATEGORY_ICONS.default;
       const formattedCategory = formatCategory(issue.category);
       const absolutePath = toAbsolutePath(issue.file_path);
+      const locationLabel = DIFF_LOCATION_LABELS[issue.diff_location];
 
-      console.log(
+      lines.push(
         `${severityIcon} ${severityColor(
           issue.severity.toUpperCase()
-        )} in ${absolutePath}:${issue.line_number} (${categoryIcon} ${formattedCategory})`
+        )} in ${absolutePath}:${issue.line_number} (${categoryIcon} ${formattedCategory})${
+          locationLabel ? ` ${locationLabel}` : ''
+        }`
       );
-      console.log(`   ${issue.message}`);
+      lines.push(`   ${issue.message}`);
 
       if (issue.suggested_fix) {
-        console.log(chalk.bold('\n💡 Suggested Fix:'));
+        lines.push(chalk.bold('\n💡 Suggested Fix:'));
         // Indent the suggested fix for readability
         const indentedFix = issue.suggested_fix
           .split('\n')
           .map((line) => `   ${line}`)
           .join('\n');
-        console.log(chalk.green(indentedFix));
+        lines.push(chalk.green(indentedFix));
       }
 
       // Add separator between issues (but not after the last one)
       if (index < review.issues.length - 1) {
         const terminalWidth = process.stdout.columns || 80;
-        console.log(chalk.gray('─'.repeat(terminalWidth)));
+        lines.push(chalk.gray('─'.repeat(terminalWidth)));
       }
-      console.log(); // Add a blank line for spacing
+      lines.push(''); // Add a blank line for spacing
     });
   }
+
+  return lines.join('\n');
+}
+
+/**
+ * Format and display the API response on stdout
+ * @param {Object} data - The API response data
+ */
+export function formatReviewOutput(data) {
+  console.log(renderReviewOutput(data));
 }
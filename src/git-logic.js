@@ -1,25 +1,132 @@
 import { execa } from 'execa';
 import chalk from 'chalk';
-import { detectCIProvider, getPrUrl } from './utils.js';
+import { closeSync, openSync, readFileSync, readSync, statSync } from 'fs';
+import { basename, join } from 'path';
+import { detectCIProvider, getCIBaseBranch, getCIHeadSha, getPrUrl } from './utils.js';
+import { getConfig } from './config.js';
+import { loadKorektIgnore } from './korektignore.js';
+import { countChanges, getChangedRanges, parseDiff } from './diff-parser.js';
+import { scrubChangedFiles } from './secrets.js';
+import { findLastReviewedSha } from './review-state.js';
+
+// Imports and similar declarations that make up a file's header section
+const HEADER_LINE_PATTERN =
+  /^\s*(import\b|from\s+\S+\s+import\b|export\s+(\*|\{[^}]*\})\s+from\b|(const|let|var)\s+.+=\s*require\(|require\(|using\s|use\s|#include\b|package\s)/;
+
+// How far into a file to look for its header section
+const HEADER_SCAN_LINES = 200;
+
+/**
+ * Find where a file's header section (imports, requires, includes) ends
+ * @param {string[]} lines - The file's lines
+ * @returns {number} - Number of leading lines that form the header, 0 if there is none
+ */
+function findHeaderEnd(lines) {
+  let headerEnd = 0;
+  const limit = Math.min(lines.length, HEADER_SCAN_LINES);
+  for (let i = 0; i < limit; i++) {
+    if (HEADER_LINE_PATTERN.test(lines[i])) {
+      headerEnd = i + 1;
+    }
+  }
+  return headerEnd;
+}
 
 /**
- * Truncate content to a maximum number of lines using "head and tail".
+ * Truncate content to a maximum number of lines.
+ * Without changed ranges the "head and tail" of the file are kept. With changed ranges,
+ * the header section and a window around every changed region are kept instead, and
+ * each elided range is replaced by a marker naming its line numbers.
  * @param {string} content - The string content to truncate
  * @param {number} maxLines - The maximum number of lines to allow (default: 2000)
+ * @param {Array} changedRanges - [start, end] line ranges (1-based) to keep, e.g. from getChangedRanges
  * @returns {string} - Truncated content string
  */
-export function truncateContent(content, maxLines = 2000) {
+export function truncateContent(content, maxLines = 2000, changedRanges = []) {
   const lines = content.split('\n');
   if (lines.length <= maxLines) {
     return content;
   }
 
-  const halfMax = Math.floor(maxLines / 2);
-  const head = lines.slice(0, halfMax).join('\n');
-  const tail = lines.slice(-halfMax).join('\n');
-  return `${head}\n\n... [truncated] ...\n\n${tail}`;
+  if (changedRanges.length === 0) {
+    const halfMax = Math.floor(maxLines / 2);
+    const head = lines.slice(0, halfMax).join('\n');
+    const tail = lines.slice(-halfMax).join('\n');
+    return `${head}\n\n... [truncated] ...\n\n${tail}`;
+  }
+
+  const clamp = (line) => Math.min(Math.max(line, 1), lines.length);
+  const ranges = changedRanges
+    .map(([start, end]) => [clamp(start), clamp(end)])
+    .sort((a, b) => a[0] - b[0]);
+
+  // Spread whatever the header and the changes leave over equal windows around each change
+  const headerEnd = Math.min(findHeaderEnd(lines), Math.floor(maxLines / 4));
+  const changedTotal = ranges.reduce((total, [start, end]) => total + end - start + 1, 0);
+  const padding = Math.max(
+    0,
+    Math.floor((maxLines - headerEnd - changedTotal) / (2 * ranges.length))
+  );
+
+  const windows = [];
+  const candidates = [
+    ...(headerEnd > 0 ? [[1, headerEnd]] : []),
+    ...ranges.map(([start, end]) => [clamp(start - padding), clamp(end + padding)]),
+  ].sort((a, b) => a[0] - b[0]);
+  for (const [start, end] of candidates) {
+    const last = windows[windows.length - 1];
+    if (last && start <= last[1] + 1) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      windows.push([start, end]);
+    }
+  }
+
+  const parts = [];
+  const marker = (from, to) => `... [lines ${from}-${to} truncated] ...`;
+  let budget = maxLines;
+  let next = 1;
+  for (const [start, end] of windows) {
+    if (budget <= 0) break;
+    const keptEnd = Math.min(end, start + budget - 1);
+    if (start > next) {
+      parts.push(marker(next, start - 1));
+    }
+    parts.push(lines.slice(start - 1, keptEnd).join('\n'));
+    budget -= keptEnd - start + 1;
+    next = keptEnd + 1;
+  }
+  if (next <= lines.length) {
+    parts.push(marker(next, lines.length));
+  }
+
+  return parts.join('\n');
 }
 
+/**
+ * Files excluded from every review unless --no-default-ignores is given (gitignore syntax)
+ */
+export const DEFAULT_IGNORE_PATTERNS = [
+  // Lockfiles
+  'package-lock.json',
+  'npm-shrinkwrap.json',
+  'pnpm-lock.yaml',
+  'bun.lockb',
+  '*.lock',
+  'go.sum',
+  // Minified bundles, source maps and snapshots
+  '*.min.js',
+  '*.min.css',
+  '*.map',
+  '*.snap',
+  '__snapshots__/',
+  // Vendored dependencies
+  'vendor/',
+  'node_modules/',
+  'bower_components/',
+  'third_party/',
+];
+
 /**
  * Normalize git remote URL to HTTPS format
  * Converts SSH URLs to HTTPS URLs for consistency
@@ -60,15 +167,62 @@ export function normalizeRepoUrl(url) {
 }
 
 /**
- * Check if a file path should be ignored based on patterns
+ * Refs under which each hosting provider exposes pull requests.
+ * `merge` is a merge commit of the PR into its target (first parent: target tip, second parent: PR head),
+ * `head` is the PR's own tip. Azure DevOps only exposes the merge ref.
+ */
+const PULL_REQUEST_REFS = {
+  github: { head: 'refs/pull/{id}/head', merge: 'refs/pull/{id}/merge' },
+  gitlab: { head: 'refs/merge-requests/{id}/head', merge: 'refs/merge-requests/{id}/merge' },
+  bitbucket: { head: 'refs/pull-requests/{id}/from', merge: 'refs/pull-requests/{id}/merge' },
+  azure: { head: null, merge: 'refs/pull/{id}/merge' },
+};
+
+/**
+ * Detect the hosting provider from a normalized repository URL
+ * @param {string} repoUrl - HTTPS repository URL (see normalizeRepoUrl)
+ * @returns {string|null} - 'github', 'gitlab', 'bitbucket', 'azure' or null if unknown
+ */
+export function detectGitHost(repoUrl) {
+  if (/^https?:\/\/(www\.)?github\.com\//.test(repoUrl)) return 'github';
+  if (/^https?:\/\/(www\.)?gitlab\.com\//.test(repoUrl)) return 'gitlab';
+  if (/^https?:\/\/(www\.)?bitbucket\.org\//.test(repoUrl)) return 'bitbucket';
+  if (/dev\.azure\.com\/|\.visualstudio\.com\//.test(repoUrl)) return 'azure';
+  return null;
+}
+
+/**
+ * Build the web URL of a pull request
+ * @param {string} repoUrl - HTTPS repository URL (see normalizeRepoUrl)
+ * @param {string} host - Provider as returned by detectGitHost
+ * @param {string|number} prNumber - Pull request number
+ * @returns {string|null} - The pull request URL, or null for unknown hosts
+ */
+export function buildPullRequestUrl(repoUrl, host, prNumber) {
+  switch (host) {
+    case 'github':
+      return `${repoUrl}/pull/${prNumber}`;
+    case 'gitlab':
+      return `${repoUrl}/-/merge_requests/${prNumber}`;
+    case 'bitbucket':
+      return `${repoUrl}/pull-requests/${prNumber}`;
+    case 'azure':
+      return `${repoUrl}/pullrequest/${prNumber}`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Find the first pattern that matches a file path
  * Supports glob patterns like *.lock, dist/*
  * @param {string} filePath - The file path to check
  * @param {string[]} patterns - Array of glob patterns to match against
- * @returns {boolean} - True if the file should be ignored
+ * @returns {string|null} - The matching pattern, or null if none matches
  */
-export function shouldIgnoreFile(filePath, patterns) {
+export function findMatchingPattern(filePath, patterns) {
   if (!patterns || patterns.length === 0) {
-    return false;
+    return null;
   }
 
   for (const pattern of patterns) {
@@ -92,10 +246,179 @@ export function shouldIgnoreFile(filePath, patterns) {
     const regex = new RegExp(regexPattern);
 
     if (regex.test(filePath)) {
-      return true;
+      return pattern;
     }
   }
 
+  return null;
+}
+
+/**
+ * Check if a file path should be ignored based on patterns
+ * Supports glob patterns like *.lock, dist/*
+ * @param {string} filePath - The file path to check
+ * @param {string[]} patterns - Array of glob patterns to match against
+ * @returns {boolean} - True if the file should be ignored
+ */
+export function shouldIgnoreFile(filePath, patterns) {
+  return findMatchingPattern(filePath, patterns) !== null;
+}
+
+/**
+ * Remove ignored files from a file list, logging each one with the rule that excluded it
+ * @param {Array} fileList - Files as returned by parseNameStatus
+ * @param {Object} rules - Ignore rules to apply
+ * @param {string[]|null} rules.ignorePatterns - Glob patterns from --ignore or config
+ * @param {Function|null} rules.korektIgnore - Matcher returned by loadKorektIgnore
+ * @param {Map|null} rules.excluded - Map of path -> reason from findDefaultExclusions
+ * @returns {Array} - Files that should be reviewed
+ */
+export function filterIgnoredFiles(fileList, { ignorePatterns, korektIgnore, excluded } = {}) {
+  let ignoredCount = 0;
+  const filteredFileList = fileList.filter((file) => {
+    let reason = excluded?.get(file.path) || null;
+
+    if (!reason && korektIgnore) {
+      const match = korektIgnore(file.path);
+      if (match) {
+        reason = `'${match.pattern}' in ${match.source}`;
+      }
+    }
+
+    if (!reason) {
+      const pattern = findMatchingPattern(file.path, ignorePatterns);
+      if (pattern) {
+        reason = `pattern '${pattern}'`;
+      }
+    }
+
+    if (reason) {
+      ignoredCount++;
+      console.error(chalk.gray(`  Ignoring: ${file.path} (${reason})`));
+    }
+    return !reason;
+  });
+
+  if (ignoredCount > 0) {
+    console.error(chalk.gray(`Ignored ${ignoredCount} file(s) based on patterns\n`));
+  }
+
+  return filteredFileList;
+}
+
+/**
+ * Parse the output of git diff --numstat -z
+ * Binary files are reported with '-' for both added and deleted counts.
+ * @param {string} output - Raw NUL-separated numstat output
+ * @returns {Array} - Array of { path, added, deleted, binary }
+ */
+export function parseNumstat(output) {
+  const entries = [];
+  const tokens = output.split('\0');
+
+  for (let i = 0; i < tokens.length; i++) {
+    if (!tokens[i]) continue;
+
+    const [added, deleted, path] = tokens[i].split('\t');
+    const binary = added === '-' && deleted === '-';
+    const entry = {
+      added: binary ? 0 : Number(added),
+      deleted: binary ? 0 : Number(deleted),
+      binary,
+    };
+
+    if (path) {
+      entry.path = path;
+    } else {
+      // Renames and copies have an empty path followed by old and new paths
+      entry.oldPath = tokens[i + 1];
+      entry.path = tokens[i + 2];
+      i += 2;
+    }
+    entries.push(entry);
+  }
+  return entries;
+}
+
+/**
+ * Find files that are excluded by default: binary files and files marked
+ * linguist-generated in .gitattributes
+ * Failures are non-fatal and simply result in no exclusions.
+ * @param {Array} fileList - Files as returned by parseNameStatus
+ * @param {string[]} diffArgs - Arguments selecting the diff (e.g. [range] or ['--cached'])
+ * @param {string} repoRootPath - The repository root directory
+ * @returns {Map} - Map of path -> reason for every excluded file
+ */
+export async function findDefaultExclusions(fileList, diffArgs, repoRootPath) {
+  const excluded = new Map();
+  if (fileList.length === 0) {
+    return excluded;
+  }
+
+  try {
+    const { stdout } = await execa('git', ['diff', '--numstat', '-z', ...diffArgs], {
+      cwd: repoRootPath,
+    });
+    for (const entry of parseNumstat(stdout)) {
+      if (entry.binary) {
+        excluded.set(entry.path, 'binary file');
+      }
+    }
+  } catch {
+    // Binary detection is best-effort
+  }
+
+  // Untracked files are not part of any git diff, so inspect their contents directly
+  for (const file of fileList) {
+    if (!file.untracked) continue;
+    try {
+      if (isBinaryContent(readFileStart(join(repoRootPath, file.path)))) {
+        excluded.set(file.path, 'binary file');
+      }
+    } catch {
+      // Unreadable files are reported when their diff is collected
+    }
+  }
+
+  try {
+    const { stdout } = await execa('git', ['check-attr', '-z', '--stdin', 'linguist-generated'], {
+      cwd: repoRootPath,
+      input: fileList.map((file) => file.path).join('\0'),
+    });
+    // Output is a sequence of path, attribute, value triples
+    const tokens = stdout.split('\0');
+    for (let i = 0; i + 2 < tokens.length; i += 3) {
+      const [path, , value] = tokens.slice(i, i + 3);
+      if ((value === 'set' || value === 'true') && !excluded.has(path)) {
+        excluded.set(path, 'linguist-generated');
+      }
+    }
+  } catch {
+    // .gitattributes lookup is best-effort
+  }
+
+  return excluded;
+}
+
+/**
+ * Check whether a diff exceeds the configured maximum file size
+ * @param {string} path - The file path (for logging)
+ * @param {string} diff - The file diff
+ * @param {number|null} maxFileSize - Maximum diff size in bytes, or null for no limit
+ * @returns {boolean} - True if the file should be skipped
+ */
+export function exceedsMaxFileSize(path, diff, maxFileSize) {
+  if (!maxFileSize) {
+    return false;
+  }
+
+  const size = Buffer.byteLength(diff);
+  if (size > maxFileSize) {
+    console.error(
+      chalk.gray(`  Skipping: ${path} (diff is ${size} bytes, max file size is ${maxFileSize})`)
+    );
+    return true;
+  }
   return false;
 }
 
@@ -108,21 +431,140 @@ export function calculateChangedLines(changedFiles) {
   let changedLines = 0;
   for (const file of changedFiles) {
     if (file.diff) {
-      const lines = file.diff.split('\n');
-      for (const line of lines) {
-        if (
-          (line.startsWith('+') || line.startsWith('-')) &&
-          !line.startsWith('+++') &&
-          !line.startsWith('---')
-        ) {
-          changedLines++;
-        }
-      }
+      const { additions, deletions } = countChanges(file.diff);
+      changedLines += additions + deletions;
     }
   }
   return changedLines;
 }
 
+// Test files and directories, ranked below source files when trimming the payload
+const TEST_FILE_PATTERN =
+  /(^|\/)(__tests__|__mocks__|tests?|spec)\/|\.(test|spec)\.[^/]+$|_test\.[^/]+$|(^|\/)test_[^/]+\.py$/;
+
+// Configuration, data and documentation files, ranked last when trimming the payload
+const CONFIG_FILE_PATTERN =
+  /(^|\/)\.[^/]+$|\.(json|ya?ml|toml|ini|cfg|conf|xml|properties|env|lock|md|rst|txt|csv)$|\.config\.[cm]?[jt]s$/;
+
+const FILE_CATEGORY_RANKS = { source: 0, test: 1, config: 2 };
+
+const jsonBytes = (value) => Buffer.byteLength(JSON.stringify(value));
+
+/**
+ * Classify a file for payload budgeting
+ * @param {string} filePath - The file path
+ * @returns {string} - 'source', 'test' or 'config'
+ */
+export function classifyFile(filePath) {
+  if (TEST_FILE_PATTERN.test(filePath)) return 'test';
+  if (CONFIG_FILE_PATTERN.test(filePath)) return 'config';
+  return 'source';
+}
+
+/**
+ * Estimate how much a changed_files entry adds to the payload
+ * @param {Object} file - A changed_files entry
+ * @returns {{bytes: number, tokens: number}} - Serialized size and a rough token count (~4 bytes each)
+ */
+export function estimateFileSize(file) {
+  const bytes = jsonBytes(file);
+  return { bytes, tokens: Math.ceil(bytes / 4) };
+}
+
+/**
+ * Trim a payload to fit the size budget.
+ * Files are ranked source over tests over config, then by churn; starting from the lowest
+ * ranked file, the file content is left out first, and whole files only if that is not enough.
+ * Everything left out is added to the payload's omitted_files, with the reason 'payload_budget'.
+ * @param {Object} payload - The assembled review payload
+ * @param {number|null} maxPayloadSize - Budget in bytes, or null/0 for no limit
+ * @returns {Object} - The payload, or a trimmed copy when it was over budget
+ */
+export function fitPayloadToBudget(payload, maxPayloadSize) {
+  let total = jsonBytes(payload);
+  if (!maxPayloadSize || total <= maxPayloadSize) {
+    return payload;
+  }
+
+  console.error(
+    chalk.yellow(
+      `Payload is ${total} bytes (~${Math.ceil(total / 4)} tokens), over the budget of ${maxPayloadSize} bytes. Trimming lower-priority files...`
+    )
+  );
+
+  const files = payload.changed_files.map((file) => {
+    const { additions, deletions } = countChanges(file.diff);
+    return { file, category: classifyFile(file.path), additions, deletions };
+  });
+
+  // Lowest priority first: config before tests before source, small changes before large ones
+  const trimOrder = [...files].sort(
+    (a, b) =>
+      FILE_CATEGORY_RANKS[b.category] - FILE_CATEGORY_RANKS[a.category] ||
+      a.additions + a.deletions - (b.additions + b.deletions)
+  );
+
+  const omitted = new Map();
+  const record = (entry, omittedPart) => {
+    const summary = {
+      path: entry.file.path,
+      status: entry.file.status,
+      omitted: omittedPart,
+      reason: 'payload_budget',
+      additions: entry.additions,
+      deletions: entry.deletions,
+    };
+    const previous = omitted.get(entry);
+    // A new entry also needs a separating comma
+    total += jsonBytes(summary) - (previous ? jsonBytes(previous) : -1);
+    omitted.set(entry, summary);
+  };
+  // Room for the omitted_files key itself, unless files were already left out while collecting
+  if (!payload.omitted_files?.length) {
+    total += jsonBytes({ omitted_files: [] }) - 1;
+  }
+
+  // 1. Keep the diffs, leave out the file content
+  for (const entry of trimOrder) {
+    if (total <= maxPayloadSize) break;
+    if (!entry.file.content && entry.file.new_content === undefined) continue;
+
+    const summarized = { ...entry.file, content: '' };
+    delete summarized.new_content;
+    const saved = estimateFileSize(entry.file).bytes - estimateFileSize(summarized).bytes;
+    total -= saved;
+    console.error(
+      chalk.gray(`  Omitting content of ${entry.file.path} (~${Math.ceil(saved / 4)} tokens)`)
+    );
+    entry.file = summarized;
+    record(entry, 'content');
+  }
+
+  // 2. Leave out whole files
+  for (const entry of trimOrder) {
+    if (total <= maxPayloadSize) break;
+
+    const { bytes, tokens } = estimateFileSize(entry.file);
+    total -= bytes + 1;
+    console.error(chalk.gray(`  Omitting ${entry.file.path} (~${tokens} tokens)`));
+    entry.dropped = true;
+    record(entry, 'file');
+  }
+
+  if (total > maxPayloadSize) {
+    console.error(chalk.yellow(`Payload is still ${total} bytes after leaving out all files.`));
+  }
+
+  return {
+    ...payload,
+    changed_files: files.filter((entry) => !entry.dropped).map((entry) => entry.file),
+    omitted_files: [
+      ...(payload.omitted_files || []),
+      ...trimOrder.filter((entry) => omitted.has(entry)).map((entry) => omitted.get(entry)),
+    ],
+  };
+}
+
 /**
  * Helper function to parse the complex output of git diff --name-status
  */
@@ -158,96 +600,527 @@ export function parseNameStatus(output) {
   return files;
 }
 
+// Bytes at the start of a file that git looks at to tell whether it is binary
+const BINARY_CHECK_BYTES = 8000;
+
 /**
- * Analyze uncommitted changes (staged or unstaged)
- * @param {string} mode - 'staged' or 'unstaged'
- * @returns {Object|null} - The payload object ready for API submission, or null on error
+ * Check whether file contents look binary, using git's heuristic (a NUL byte near the start)
+ * @param {Buffer} buffer - Raw file contents
+ * @returns {boolean} - True if the contents are binary
  */
-export async function runUncommittedReview(mode = 'unstaged') {
+export function isBinaryContent(buffer) {
+  return buffer.subarray(0, BINARY_CHECK_BYTES).includes(0);
+}
+
+/**
+ * Read the start of a file, enough to tell whether it is binary (see isBinaryContent)
+ * @param {string} fullPath - Absolute path of the file
+ * @returns {Buffer} - Up to the first BINARY_CHECK_BYTES bytes
+ */
+function readFileStart(fullPath) {
+  const fd = openSync(fullPath, 'r');
   try {
-    // 1. Get Repo URL, current branch name, and repository root
-    const { stdout: repoUrl } = await execa('git', ['remote', 'get-url', 'origin']);
-    const { stdout: sourceBranch } = await execa('git', ['rev-parse', '--abbrev-ref', 'HEAD']);
-    const branchName = sourceBranch.trim();
+    const buffer = Buffer.alloc(BINARY_CHECK_BYTES);
+    return buffer.subarray(0, readSync(fd, buffer, 0, BINARY_CHECK_BYTES, 0));
+  } finally {
+    closeSync(fd);
+  }
+}
 
-    // Get the repository root directory - we'll run all git commands from there
-    const { stdout: repoRoot } = await execa('git', ['rev-parse', '--show-toplevel']);
-    const repoRootPath = repoRoot.trim();
+/**
+ * Count the lines of a text file, reading it in chunks instead of loading it whole
+ * @param {string} fullPath - Absolute path of the file
+ * @returns {number} - Number of lines, counting a last line without a newline
+ */
+function countFileLines(fullPath) {
+  const fd = openSync(fullPath, 'r');
+  try {
+    const chunk = Buffer.alloc(64 * 1024);
+    let lines = 0;
+    let lastByte = null;
+    let bytesRead;
+    while ((bytesRead = readSync(fd, chunk, 0, chunk.length, null)) > 0) {
+      for (let i = 0; i < bytesRead; i++) {
+        if (chunk[i] === 0x0a) lines++;
+      }
+      lastByte = chunk[bytesRead - 1];
+    }
+    return lastByte === null || lastByte === 0x0a ? lines : lines + 1;
+  } finally {
+    closeSync(fd);
+  }
+}
 
-    // Helper to run git commands from repo root
-    const git = async (...args) => {
-      const { stdout } = await execa('git', args, { cwd: repoRootPath });
-      return stdout;
-    };
+/**
+ * Build a unified diff that adds a whole file, matching the output of
+ * git diff --no-index /dev/null <path>
+ * @param {string} path - The file path relative to the repository root
+ * @param {Buffer} buffer - Raw file contents
+ * @returns {string} - The synthesized diff
+ */
+export function synthesizeAddedDiff(path, buffer) {
+  const header = [`diff --git a/${path} b/${path}`, 'new file mode 100644'];
 
-    // 2. Get changed files based on mode
-    let nameStatusOutput;
-    if (mode === 'staged') {
-      nameStatusOutput = await git('diff', '--cached', '--name-status');
-      console.error(chalk.gray('Analyzing staged changes...'));
-    } else {
-      nameStatusOutput = await git('diff', '--name-status');
-      console.error(chalk.gray('Analyzing unstaged changes...'));
+  if (isBinaryContent(buffer)) {
+    return [...header, `Binary files /dev/null and b/${path} differ`].join('\n');
+  }
+
+  const text = buffer.toString('utf8');
+  if (text === '') {
+    return header.join('\n');
+  }
+
+  const lines = text.split('\n');
+  const hasTrailingNewline = text.endsWith('\n');
+  if (hasTrailingNewline) {
+    lines.pop();
+  }
+
+  return [
+    ...header,
+    '--- /dev/null',
+    `+++ b/${path}`,
+    `@@ -0,0 +1${lines.length === 1 ? '' : `,${lines.length}`} @@`,
+    ...lines.map((line) => `+${line}`),
+    ...(hasTrailingNewline ? [] : ['\\ No newline at end of file']),
+  ].join('\n');
+}
+
+/**
+ * List untracked files that are not excluded by .gitignore
+ * @param {string} repoRootPath - The repository root directory
+ * @returns {Promise<Array>} - Files in parseNameStatus format, marked as untracked
+ */
+export async function listUntrackedFiles(repoRootPath) {
+  const { stdout } = await execa('git', ['ls-files', '--others', '--exclude-standard', '-z'], {
+    cwd: repoRootPath,
+  });
+  return stdout
+    .split('\0')
+    .filter(Boolean)
+    .map((path) => ({ status: 'A', path, oldPath: path, untracked: true }));
+}
+
+/**
+ * Read an untracked file from the working tree, no more than needed: of a binary file only
+ * the start that identifies it, and of a text file larger than maxFileSize only its line count.
+ * Untracked nested repositories (listed as "dir/") and symlinks to directories are not files;
+ * they are skipped with a warning, as are files that cannot be read.
+ * @param {string} path - The file path, relative to the repository root
+ * @param {string} repoRootPath - The repository root directory
+ * @param {number|null} maxFileSize - Maximum size in bytes, or null for no limit
+ * @returns {{buffer: Buffer}|{size: number, lines: number}|null} - The file's content (the start
+ *   of a binary file), the size and line count of a file over maxFileSize, or null if it was skipped
+ */
+function readUntrackedFile(path, repoRootPath, maxFileSize) {
+  const fullPath = join(repoRootPath, path);
+  try {
+    const stats = path.endsWith('/') ? null : statSync(fullPath);
+    if (!stats || stats.isDirectory()) {
+      console.warn(
+        chalk.yellow(`Skipping untracked ${path}: it is a directory or nested repository.`)
+      );
+      return null;
     }
 
-    const fileList = parseNameStatus(nameStatusOutput);
-    const changedFiles = [];
+    const start = readFileStart(fullPath);
+    if (isBinaryContent(start)) {
+      return { buffer: start };
+    }
+    if (maxFileSize && stats.size > maxFileSize) {
+      return { size: stats.size, lines: countFileLines(fullPath) };
+    }
+    return { buffer: readFileSync(fullPath) };
+  } catch (error) {
+    console.warn(chalk.yellow(`Could not read untracked ${path}, skipping:`), error.message);
+    return null;
+  }
+}
+
+/**
+ * Map over items with at most `limit` calls to an async function in flight.
+ * Results keep the order of the input.
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {Function} fn - Async function called with (item, index)
+ * @returns {Promise<Array>} - Results in input order
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
 
-    for (const file of fileList) {
-      const { status, path, oldPath } = file;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
 
-      // Get diff for this file
-      let diff;
-      if (mode === 'staged') {
-        diff = await git('diff', '--cached', '-U15', '--', path);
-      } else {
-        diff = await git('diff', '-U15', '--', path);
+  const workerCount = Math.min(limit > 0 ? limit : 1, items.length);
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
+
+/**
+ * Read a file's content after the change
+ * @param {string} path - The file path, relative to the repository root
+ * @param {Object} source - Where to read from
+ * @param {string|null} source.newRef - Revision ('' for the index), or null for the working tree
+ * @param {boolean} source.untracked - The file only exists in the working tree
+ * @param {string} source.repoRootPath - The repository root directory
+ * @param {Function} git - Runs a git command from the repository root and returns stdout
+ * @returns {Promise<string|null>} - The content, or null if it is unavailable or binary
+ */
+async function readNewContent(path, { newRef, untracked, repoRootPath }, git) {
+  try {
+    if (newRef === null || untracked) {
+      const fullPath = join(repoRootPath, path);
+      if (isBinaryContent(readFileStart(fullPath))) {
+        return null;
       }
+      // Match git show, which drops the final newline
+      return readFileSync(fullPath, 'utf8').replace(/\n$/, '');
+    }
+    return await git('show', `${newRef}:${path}`);
+  } catch {
+    console.warn(chalk.yellow(`Could not get new content for ${path}.`));
+    return null;
+  }
+}
 
-      // Get current content from HEAD (before changes)
-      let content = '';
-      if (status !== 'A') {
-        try {
-          content = await git('show', `HEAD:${oldPath}`);
-        } catch {
-          console.warn(
-            chalk.yellow(`Could not get HEAD content for ${oldPath}. Assuming it's new.`)
-          );
-        }
+/**
+ * Shared file-collection pipeline for committed and uncommitted reviews.
+ * Filters ignored files, then collects each file's diff and its original content
+ * (plus its changed content when settings.newContent is set), running up to
+ * settings.jobs files in parallel.
+ * @param {Array} fileList - Files as returned by parseNameStatus
+ * @param {Object} source - Where the changes come from
+ * @param {string[]} source.diffArgs - Arguments selecting the diff: [range], ['--cached'] or []
+ * @param {string} source.baseRef - Commit holding the original content (merge-base or HEAD)
+ * @param {string|null} source.newRef - Revision holding the changed content ('' for the index),
+ *   or null to read it from the working tree
+ * @param {string} source.repoRootPath - The repository root directory
+ * @param {Object} settings - Resolved review settings from getConfig
+ * @returns {Promise<{changedFiles: Array, omittedFiles: Array}>} - Entries for the payload's
+ *   changed_files, and for its omitted_files: the files over settings.maxFileSize
+ */
+export async function collectChangedFiles(
+  fileList,
+  { diffArgs, baseRef, newRef = null, repoRootPath },
+  settings
+) {
+  const { ignore, contextLines, maxFileSize, maxContentLines, defaultIgnores, jobs, newContent } =
+    settings;
+
+  // Run git commands from the repository root to handle all file paths correctly
+  // This works regardless of whether we're in a subdirectory or at the repo root
+  const git = async (...args) => {
+    const { stdout } = await execa('git', args, { cwd: repoRootPath });
+    return stdout;
+  };
+
+  const filteredFileList = filterIgnoredFiles(fileList, {
+    ignorePatterns: ignore,
+    korektIgnore: loadKorektIgnore(repoRootPath, defaultIgnores ? DEFAULT_IGNORE_PATTERNS : []),
+    excluded: defaultIgnores ? await findDefaultExclusions(fileList, diffArgs, repoRootPath) : null,
+  });
+
+  console.error(chalk.gray(`Collecting diffs for ${filteredFileList.length} file(s)...`));
+
+  const oversized = new Map();
+  const changedFiles = await mapWithConcurrency(filteredFileList, jobs, async (file) => {
+    const { status, path, oldPath } = file;
+
+    let diff;
+    if (file.untracked) {
+      const untracked = readUntrackedFile(path, repoRootPath, maxFileSize);
+      if (untracked === null) {
+        return null;
       }
+      if (!untracked.buffer) {
+        console.error(
+          chalk.gray(
+            `  Skipping: ${path} (file is ${untracked.size} bytes, max file size is ${maxFileSize})`
+          )
+        );
+        oversized.set(path, {
+          path,
+          status,
+          omitted: 'file',
+          reason: 'max_file_size',
+          additions: untracked.lines,
+          deletions: 0,
+        });
+        return null;
+      }
+      diff = synthesizeAddedDiff(path, untracked.buffer);
+    } else {
+      diff = await git('diff', `-U${contextLines}`, ...diffArgs, '--', path);
+    }
+
+    if (exceedsMaxFileSize(path, diff, maxFileSize)) {
+      const { additions, deletions } = countChanges(diff);
+      oversized.set(path, {
+        path,
+        status,
+        omitted: 'file',
+        reason: 'max_file_size',
+        additions,
+        deletions,
+      });
+      return null;
+    }
+
+    // Get the original content from the base commit
+    let content = '';
+    if (status !== 'A') {
+      // Added files have no original content
+      try {
+        content = await git('show', `${baseRef}:${oldPath}`);
+      } catch {
+        // This can happen if a file was added and modified in the same branch
+        console.warn(
+          chalk.yellow(`Could not get original content for ${oldPath}. Assuming it was added.`)
+        );
+      }
+    }
+
+    const parsedDiff = parseDiff(diff)[0] || { hunks: [] };
+
+    // Get the changed content, unless the file is gone
+    let changedContent = null;
+    if (newContent && status !== 'D') {
+      changedContent = await readNewContent(
+        path,
+        { newRef, untracked: file.untracked, repoRootPath },
+        git
+      );
+      if (
+        changedContent !== null &&
+        maxFileSize &&
+        Buffer.byteLength(changedContent) > maxFileSize
+      ) {
+        console.error(
+          chalk.gray(`  Omitting new content of ${path} (larger than max file size ${maxFileSize})`)
+        );
+        changedContent = null;
+      }
+    }
+
+    return {
+      path: path,
+      status: status,
+      // For deleted files, truncate the diff as well
+      diff: status === 'D' ? truncateContent(diff, maxContentLines) : diff,
+      // Keep the parts of the base file around what changed
+      content: truncateContent(content, maxContentLines, getChangedRanges(parsedDiff, 'old')),
+      ...(changedContent !== null && {
+        new_content: truncateContent(
+          changedContent,
+          maxContentLines,
+          getChangedRanges(parsedDiff, 'new')
+        ),
+      }),
+      ...((status === 'R' || status === 'C') && { old_path: oldPath }), // Include old_path for renames and copies
+    };
+  });
+
+  return {
+    changedFiles: changedFiles.filter(Boolean),
+    omittedFiles: filteredFileList
+      .filter((file) => oversized.has(file.path))
+      .map((file) => oversized.get(file.path)),
+  };
+}
+
+/**
+ * Redact secrets from the collected files, warning about each file that contained any
+ * @param {Array} changedFiles - Entries for the payload's changed_files
+ * @returns {{changedFiles: Array, redactions: Array}} - See scrubChangedFiles
+ */
+function redactSecrets(changedFiles) {
+  const result = scrubChangedFiles(changedFiles);
+  for (const { path, type, count } of result.redactions) {
+    console.warn(chalk.yellow(`Redacted ${count} possible secret(s) (${type}) in ${path}`));
+  }
+  return result;
+}
+
+/**
+ * List the configured git remotes
+ * @param {string} repoRootPath - The repository root directory
+ * @returns {Promise<string[]>} - Remote names, empty when there are none
+ */
+export async function listRemotes(repoRootPath) {
+  try {
+    const { stdout } = await execa('git', ['remote'], { cwd: repoRootPath });
+    return stdout
+      .split('\n')
+      .map((name) => name.trim())
+      .filter(Boolean);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Pick the remote used for repository identity and fetching.
+ * An explicitly requested remote must exist; otherwise origin is preferred,
+ * then the first configured remote, and local-only repositories get null.
+ * @param {string|null} requested - Remote name from --remote or the project config
+ * @param {string} repoRootPath - The repository root directory
+ * @returns {Promise<Object|null>} - { name, url } or null when the repository has no remote
+ * @throws {Error} - If the requested remote does not exist
+ */
+export async function resolveRemote(requested, repoRootPath) {
+  const getUrl = async (name) => {
+    try {
+      const { stdout } = await execa('git', ['remote', 'get-url', name], { cwd: repoRootPath });
+      return stdout.trim() || null;
+    } catch {
+      return null;
+    }
+  };
+
+  if (requested) {
+    const url = await getUrl(requested);
+    if (!url) {
+      throw new Error(`Remote '${requested}' does not exist.`);
+    }
+    return { name: requested, url };
+  }
+
+  const originUrl = await getUrl('origin');
+  if (originUrl) {
+    return { name: 'origin', url: originUrl };
+  }
+
+  const [first] = await listRemotes(repoRootPath);
+  const firstUrl = first && (await getUrl(first));
+  return firstUrl ? { name: first, url: firstUrl } : null;
+}
+
+/**
+ * Describe the repository for the payload. Without a remote there is no URL, so a
+ * stable local identifier is derived from the directory name and the root commit.
+ * @param {Object|null} remote - The resolved remote ({ name, url }) or null
+ * @param {string} repoRootPath - The repository root directory
+ * @returns {Promise<Object>} - { repo_url } or { repo_url: null, local_repo_id }
+ */
+export async function describeRepository(remote, repoRootPath) {
+  if (remote) {
+    return { repo_url: normalizeRepoUrl(remote.url) };
+  }
+
+  let rootCommit = null;
+  try {
+    // A repo can have several root commits (e.g. merged histories); the oldest is the most stable
+    const { stdout } = await execa('git', ['rev-list', '--max-parents=0', 'HEAD'], {
+      cwd: repoRootPath,
+    });
+    rootCommit = stdout.trim().split('\n').pop() || null;
+  } catch {
+    // No commits yet
+  }
+
+  const name = basename(repoRootPath);
+  const localRepoId = rootCommit ? `local:${name}@${rootCommit.substring(0, 12)}` : `local:${name}`;
+  console.warn(
+    chalk.yellow(`No git remote configured, identifying the repository as '${localRepoId}'.`)
+  );
+  return { repo_url: null, local_repo_id: localRepoId };
+}
+
+/**
+ * Get the current branch name, including the unborn branch of a repo without commits
+ * @returns {Promise<string>} - The branch name, or 'HEAD' when detached
+ */
+async function getCurrentBranch() {
+  try {
+    const { stdout } = await execa('git', ['rev-parse', '--abbrev-ref', 'HEAD']);
+    return stdout.trim();
+  } catch (error) {
+    // rev-parse cannot resolve HEAD before the first commit, but the symbolic ref exists
+    try {
+      const { stdout } = await execa('git', ['symbolic-ref', '--short', 'HEAD']);
+      return stdout.trim();
+    } catch {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Analyze uncommitted changes (staged or unstaged)
+ * @param {string} mode - 'staged' or 'unstaged'
+ * @param {string[]|null} ignorePatterns - Array of glob patterns to ignore files
+ * @param {Object} options - CLI overrides for project settings (contextLines, maxFileSize, defaultIgnores)
+ * @param {boolean} options.includeUntracked - Also review untracked files (unstaged mode only)
+ * @param {boolean} options.batch - Leave the payload untrimmed, to be split by partitionPayload
+ * @param {Object} options.settings - Settings already resolved by getConfig, used instead of the overrides
+ * @returns {Object|null} - The payload object ready for API submission, or null on error
+ */
+export async function runUncommittedReview(mode = 'unstaged', ignorePatterns = null, options = {}) {
+  try {
+    // 1. Get current branch name, repository root and remote
+    const branchName = await getCurrentBranch();
+
+    // Get the repository root directory - we'll run all git commands from there
+    const { stdout: repoRoot } = await execa('git', ['rev-parse', '--show-toplevel']);
+    const repoRootPath = repoRoot.trim();
 
-      // Truncate content
-      content = truncateContent(content);
+    // Resolve review settings (CLI > .korekt.yml > global config > env)
+    const settings =
+      options.settings || getConfig({ ...options, ignore: ignorePatterns }, repoRootPath);
 
-      // For deleted files, truncate the diff as well
-      if (status === 'D') {
-        diff = truncateContent(diff);
-      }
+    const remote = await resolveRemote(settings.remote, repoRootPath);
 
-      changedFiles.push({
-        path: path,
-        status: status,
-        diff: diff,
-        content: content,
-        ...((status === 'R' || status === 'C') && { old_path: oldPath }),
-      });
+    // 2. Get changed files based on mode
+    const diffArgs = mode === 'staged' ? ['--cached'] : [];
+    const { stdout: nameStatusOutput } = await execa(
+      'git',
+      ['diff', ...diffArgs, '--name-status'],
+      { cwd: repoRootPath }
+    );
+    console.error(chalk.gray(`Analyzing ${mode} changes...`));
+
+    const fileList = parseNameStatus(nameStatusOutput);
+
+    // Brand-new files never show up in git diff; add them as synthesized additions
+    if (mode === 'unstaged' && options.includeUntracked) {
+      const untrackedFiles = await listUntrackedFiles(repoRootPath);
+      if (untrackedFiles.length > 0) {
+        console.error(chalk.gray(`Including ${untrackedFiles.length} untracked file(s)...`));
+      }
+      fileList.push(...untrackedFiles);
     }
 
-    if (!nameStatusOutput.trim() && changedFiles.length === 0) {
+    const collected = await collectChangedFiles(
+      fileList,
+      // Staged changes live in the index, unstaged ones in the working tree
+      { diffArgs, baseRef: 'HEAD', newRef: mode === 'staged' ? '' : null, repoRootPath },
+      settings
+    );
+    const { changedFiles, redactions } = redactSecrets(collected.changedFiles);
+
+    if (fileList.length === 0 && changedFiles.length === 0) {
       console.error(chalk.yellow('No changes found to review.'));
       return null;
     }
 
-    // 3. Assemble payload
-    return {
-      repo_url: normalizeRepoUrl(repoUrl.trim()),
+    // 3. Assemble payload, trimmed to the size budget
+    const payload = {
+      ...(await describeRepository(remote, repoRootPath)),
       commit_messages: [], // No commits for uncommitted changes
       changed_files: changedFiles,
       source_branch: branchName,
       changed_lines: calculateChangedLines(changedFiles),
       is_ci: detectCIProvider() !== null,
       pr_url: null, // Uncommitted changes are never part of a PR
+      ...(collected.omittedFiles.length > 0 && { omitted_files: collected.omittedFiles }),
+      ...(redactions.length > 0 && { redacted_secrets: redactions }),
     };
+    return options.batch ? payload : fitPayloadToBudget(payload, settings.maxPayloadSize);
   } catch (error) {
     console.error(chalk.red('Failed to analyze uncommitted changes:'), error.message);
     if (error.stderr) {
@@ -257,6 +1130,192 @@ export async function runUncommittedReview(mode = 'unstaged') {
   }
 }
 
+/**
+ * Hash of git's empty tree, used as the base when reviewing a root commit
+ */
+export const EMPTY_TREE_HASH = '4b825dc642cb6eb9a060e54bf8d69288fbee4904';
+
+/**
+ * Resolve an explicit commit range or single commit into base and head refs
+ * Supports "A..B" (base is A), "A...B" (base is the merge-base of A and B) and a single commit
+ * (base is its first parent, or the empty tree for a root commit).
+ * @param {Object} selection - { range } or { commit }
+ * @param {string} repoRootPath - The repository root directory
+ * @returns {Object} - { baseRef, headRef } as full commit hashes
+ * @throws {Error} - If the range is malformed or a ref does not exist
+ */
+export async function resolveCommitRange({ range, commit }, repoRootPath) {
+  const verify = async (ref) => {
+    try {
+      const { stdout } = await execa('git', ['rev-parse', '--verify', `${ref}^{commit}`], {
+        cwd: repoRootPath,
+      });
+      return stdout.trim();
+    } catch {
+      throw new Error(`Commit '${ref}' does not exist.`);
+    }
+  };
+
+  if (commit) {
+    const headRef = await verify(commit);
+    let baseRef;
+    try {
+      baseRef = await verify(`${headRef}^`);
+    } catch {
+      // Root commit - compare against the empty tree
+      baseRef = EMPTY_TREE_HASH;
+    }
+    return { baseRef, headRef };
+  }
+
+  const match = range.match(/^(.+?)(\.\.\.?)(.+)$/);
+  if (!match) {
+    throw new Error(`Invalid range '${range}'. Expected <base>..<head> or <base>...<head>.`);
+  }
+
+  const [, base, dots, head] = match;
+  const headRef = await verify(head);
+  let baseRef = await verify(base);
+  if (dots === '...') {
+    const { stdout } = await execa('git', ['merge-base', baseRef, headRef], {
+      cwd: repoRootPath,
+    });
+    baseRef = stdout.trim();
+  }
+  return { baseRef, headRef };
+}
+
+/**
+ * Branches considered as a base when nothing better is known, in order of preference
+ */
+export const DEFAULT_BRANCH_CANDIDATES = ['main', 'master', 'develop'];
+
+/**
+ * Detect where the current branch forked off, trying progressively weaker strategies:
+ * 1) git merge-base --fork-point against the branch's upstream
+ * 2) the remote's default branch (e.g. origin/HEAD)
+ * 3) the nearest merge-base among main, master and develop
+ * 4) the oldest entry in the branch's reflog
+ * @param {string} branchName - The current branch name
+ * @param {string} repoRootPath - The repository root directory
+ * @param {string|null} remote - Remote to look for base branches on, or null for local-only repos
+ * @returns {Promise<Object|null>} - { mergeBase, strategy, ref } or null if every strategy failed
+ */
+export async function detectForkPoint(branchName, repoRootPath, remote = 'origin') {
+  const git = async (...args) => {
+    const { stdout } = await execa('git', args, { cwd: repoRootPath });
+    return stdout.trim();
+  };
+  const tryGit = async (...args) => {
+    try {
+      return (await git(...args)) || null;
+    } catch {
+      return null;
+    }
+  };
+
+  // 1. Upstream - skipped when it is just the pushed copy of this branch (e.g. origin/feature)
+  const upstream = await tryGit('rev-parse', '--abbrev-ref', '--symbolic-full-name', '@{upstream}');
+  if (upstream && upstream.split('/').slice(1).join('/') !== branchName) {
+    const mergeBase =
+      (await tryGit('merge-base', '--fork-point', upstream, 'HEAD')) ||
+      (await tryGit('merge-base', upstream, 'HEAD'));
+    if (mergeBase) {
+      return { mergeBase, strategy: 'upstream fork-point', ref: upstream };
+    }
+  }
+
+  // 2. The remote's default branch
+  const defaultBranch =
+    remote && (await tryGit('symbolic-ref', '--short', `refs/remotes/${remote}/HEAD`));
+  if (defaultBranch && defaultBranch !== `${remote}/${branchName}`) {
+    const mergeBase = await tryGit('merge-base', defaultBranch, 'HEAD');
+    if (mergeBase) {
+      return { mergeBase, strategy: 'default branch', ref: defaultBranch };
+    }
+  }
+
+  // 3. Well-known branch names - the nearest merge-base wins
+  let nearest = null;
+  for (const candidate of DEFAULT_BRANCH_CANDIDATES) {
+    if (candidate === branchName) continue;
+
+    const refs = remote ? [`${remote}/${candidate}`, candidate] : [candidate];
+    for (const ref of refs) {
+      if (!(await tryGit('rev-parse', '--verify', '--quiet', `${ref}^{commit}`))) continue;
+
+      const mergeBase = await tryGit('merge-base', ref, 'HEAD');
+      const distance =
+        mergeBase && Number(await tryGit('rev-list', '--count', `${mergeBase}..HEAD`));
+      if (mergeBase && !Number.isNaN(distance) && (!nearest || distance < nearest.distance)) {
+        nearest = { mergeBase, strategy: 'nearest candidate branch', ref, distance };
+      }
+      break; // Prefer the remote-tracking branch over the local one
+    }
+  }
+  if (nearest) {
+    const { mergeBase, strategy, ref } = nearest;
+    return { mergeBase, strategy, ref };
+  }
+
+  // 4. Branch creation point from the reflog (last line)
+  const reflog = await tryGit('reflog', 'show', '--no-abbrev-commit', branchName);
+  if (reflog) {
+    const lines = reflog.split('\n');
+    const match = lines[lines.length - 1].match(/^([a-f0-9]{40})/);
+    if (match) {
+      return { mergeBase: match[1], strategy: 'reflog', ref: branchName };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Resolve the target branch to use when none was given, for checkouts where fork point
+ * detection has nothing to go on (CI runners, detached HEAD):
+ * 1) the pull request's target branch from CI environment variables, fetched if missing
+ * 2) the remote's default branch (e.g. origin/HEAD)
+ * @param {string} repoRootPath - The repository root directory
+ * @param {string|null} remote - Remote holding the target branch, or null for local-only repos
+ * @returns {Promise<Object|null>} - { branch, source } with a remote-tracking branch, or null
+ */
+export async function resolveDefaultTargetBranch(repoRootPath, remote = 'origin') {
+  if (!remote) return null;
+
+  const tryGit = async (...args) => {
+    try {
+      const { stdout } = await execa('git', args, { cwd: repoRootPath });
+      return stdout.trim() || null;
+    } catch {
+      return null;
+    }
+  };
+
+  // 1. CI pull request target branch - shallow or single-branch clones may not have it yet
+  const ciBranch = getCIBaseBranch();
+  if (ciBranch) {
+    const ref = `${remote}/${ciBranch}`;
+    let exists = await tryGit('rev-parse', '--verify', '--quiet', `${ref}^{commit}`);
+    if (!exists) {
+      await tryGit('fetch', remote, `+refs/heads/${ciBranch}:refs/remotes/${ref}`);
+      exists = await tryGit('rev-parse', '--verify', '--quiet', `${ref}^{commit}`);
+    }
+    if (exists) {
+      return { branch: ref, source: 'CI target branch' };
+    }
+    console.warn(chalk.yellow(`Could not fetch CI target branch '${ref}'.`));
+  }
+
+  // 2. The remote's default branch
+  const defaultBranch = await tryGit('symbolic-ref', '--short', `refs/remotes/${remote}/HEAD`);
+  if (defaultBranch) {
+    return { branch: defaultBranch, source: 'default branch' };
+  }
+
+  return null;
+}
+
 /**
  * Extract contributors from git commits in a range
  * Returns the author (most commits) and full list of contributors
@@ -308,31 +1367,176 @@ export async function getContributors(diffRange, repoRootPath) {
   }
 }
 
+/**
+ * Get the commit a --since-last review is recorded at and compared from.
+ * In CI the checked-out commit is usually a merge of the pull request into its target,
+ * made anew on every push, so the pull request's own head is used when HEAD contains it.
+ * @param {string} headRef - The reviewed revision
+ * @param {string} repoRootPath - The repository root directory
+ * @returns {Promise<string>} - The commit hash
+ */
+async function resolveReviewedHead(headRef, repoRootPath) {
+  const { stdout } = await execa('git', ['rev-parse', headRef], { cwd: repoRootPath });
+  const headSha = stdout.trim();
+
+  const ciHeadSha = headRef === 'HEAD' ? getCIHeadSha() : null;
+  if (!ciHeadSha || ciHeadSha === headSha) {
+    return headSha;
+  }
+
+  try {
+    await execa('git', ['merge-base', '--is-ancestor', ciHeadSha, headSha], { cwd: repoRootPath });
+    return ciHeadSha;
+  } catch {
+    return headSha;
+  }
+}
+
+/**
+ * Find the commit to review from with --since-last
+ * Falls back to the whole branch when there is no earlier review, or the reviewed commit
+ * is no longer part of the branch (e.g. after a rebase). When HEAD itself was reviewed last,
+ * HEAD is returned, so nothing is collected (see isAlreadyReviewed).
+ * @param {Object} repository - repo_url or local_repo_id, and source_branch
+ * @param {string} headSha - The commit being reviewed
+ * @param {string} repoRootPath - The repository root directory
+ * @returns {Promise<string|null>} - The last reviewed commit, or null to review the whole branch
+ */
+async function resolveLastReviewedSha(repository, headSha, repoRootPath) {
+  const lastSha = await findLastReviewedSha(repository);
+  if (!lastSha) {
+    console.error(chalk.gray('No earlier review found for this branch, reviewing all of it.'));
+    return null;
+  }
+
+  const shortSha = lastSha.substring(0, 7);
+  if (headSha.startsWith(lastSha)) {
+    console.error(chalk.gray(`Nothing new since the last review at ${shortSha}.`));
+    return headSha;
+  }
+
+  try {
+    await execa('git', ['merge-base', '--is-ancestor', lastSha, headSha], { cwd: repoRootPath });
+  } catch {
+    console.warn(
+      chalk.yellow(
+        `Last reviewed commit ${shortSha} is no longer part of this branch (rebased?), reviewing all of it.`
+      )
+    );
+    return null;
+  }
+
+  console.error(chalk.gray(`Reviewing changes since the last review at ${shortSha}...`));
+  return lastSha;
+}
+
+/**
+ * Keep only the files that the branch itself changes, leaving out those merged in from elsewhere
+ * @param {Array} fileList - Files changed since the last review, as returned by parseNameStatus
+ * @param {string} branchRange - The whole branch, from its merge-base with the target
+ * @param {string} repoRootPath - The repository root directory
+ * @returns {Promise<Array>} - The files of fileList that are also changed on the branch
+ */
+async function keepBranchFiles(fileList, branchRange, repoRootPath) {
+  const { stdout } = await execa('git', ['diff', '--name-status', branchRange], {
+    cwd: repoRootPath,
+  });
+  const branchPaths = new Set(parseNameStatus(stdout).map((file) => file.path));
+
+  const kept = fileList.filter((file) => branchPaths.has(file.path));
+  if (kept.length < fileList.length) {
+    console.error(
+      chalk.gray(
+        `Leaving out ${fileList.length - kept.length} file(s) merged in from outside the branch.`
+      )
+    );
+  }
+  return kept;
+}
+
 /**
  * Main function to analyze local git changes and prepare review payload
- * @param {string|null} targetBranch - The branch to compare against. If null, uses git reflog to find fork point.
+ * @param {string|null} targetBranch - The branch to compare against. If null, uses the CI target or default branch on CI and detached HEAD (see resolveDefaultTargetBranch), otherwise auto-detects the fork point (see detectForkPoint).
  * @param {string[]|null} ignorePatterns - Array of glob patterns to ignore files
+ * @param {Object} options - CLI overrides for project settings (contextLines, maxFileSize, defaultIgnores)
+ * @param {boolean} options.workingTree - Diff the merge-base against the working tree instead of HEAD,
+ *   so staged and unstaged changes are reviewed together with the branch's commits
+ * @param {boolean} options.includeUntracked - Also review untracked files (working tree mode only)
+ * @param {string} options.range - Review an explicit commit range ("A..B" or "A...B") instead of a branch
+ * @param {string} options.commit - Review a single commit instead of a branch
+ * @param {string} options.prUrl - Pull request URL to report instead of the one detected from CI
+ * @param {string} options.sourceBranch - Branch name to report instead of the current branch
+ * @param {string} options.remote - Remote used for repository identity and fetching (default: origin)
+ * @param {boolean} options.batch - Leave the payload untrimmed, to be split by partitionPayload
+ * @param {boolean} options.sinceLast - Only send the files changed since the branch was last reviewed
+ *   (see findLastReviewedSha); commit messages and contributors still cover the whole branch
+ * @param {Object} options.settings - Settings already resolved by getConfig, used instead of the overrides
  * @returns {Object|null} - The payload object ready for API submission, or null on error
  */
-export async function runLocalReview(targetBranch = null, ignorePatterns = null) {
+export async function runLocalReview(targetBranch = null, ignorePatterns = null, options = {}) {
   try {
-    // 1. Get Repo URL, current branch name, and repository root
-    const { stdout: repoUrl } = await execa('git', ['remote', 'get-url', 'origin']);
+    // 1. Get current branch name, repository root and remote
     const { stdout: sourceBranch } = await execa('git', ['rev-parse', '--abbrev-ref', 'HEAD']);
-    const branchName = sourceBranch.trim();
+    const branchName = options.sourceBranch || sourceBranch.trim();
 
     // Get the repository root directory - we'll run all git commands from there
     const { stdout: repoRoot } = await execa('git', ['rev-parse', '--show-toplevel']);
     const repoRootPath = repoRoot.trim();
 
+    // Resolve review settings (CLI > .korekt.yml > global config > env)
+    const settings =
+      options.settings ||
+      getConfig({ ...options, targetBranch, ignore: ignorePatterns }, repoRootPath);
+    const explicitRange = Boolean(options.range || options.commit);
+
+    if (explicitRange && (targetBranch || options.workingTree)) {
+      console.error(
+        chalk.red('--range and --commit cannot be combined with a target branch or --working-tree.')
+      );
+      return null;
+    }
+    if (options.range && options.commit) {
+      console.error(chalk.red('Please specify either --range or --commit, not both.'));
+      return null;
+    }
+    if (options.sinceLast && (explicitRange || options.workingTree)) {
+      console.error(
+        chalk.red('--since-last cannot be combined with --range, --commit or --working-tree.')
+      );
+      return null;
+    }
+
+    let remote;
+    try {
+      remote = await resolveRemote(settings.remote, repoRootPath);
+    } catch (error) {
+      console.error(chalk.red(error.message));
+      return null;
+    }
+    const remoteName = remote?.name || null;
+
+    // An explicit range takes the place of the configured default target branch
+    targetBranch = explicitRange ? null : settings.targetBranch;
+
+    // CI runners and detached checkouts have no branch history to detect a fork point from
+    if (!explicitRange && !targetBranch && (getCIBaseBranch() || branchName === 'HEAD')) {
+      const defaultTarget = await resolveDefaultTargetBranch(repoRootPath, remoteName);
+      if (defaultTarget) {
+        targetBranch = defaultTarget.branch;
+        console.error(chalk.gray(`Using ${defaultTarget.source} '${targetBranch}' as target.`));
+      }
+    }
+
     // If a branch is provided, check it exists and try to fetch latest remote version
-    let targetBranchRef = targetBranch; // Will be updated to origin/branch if remote exists
+    let targetBranchRef = targetBranch; // Will be updated to remote/branch if remote exists
     if (targetBranch) {
       // Check if user already specified a remote-tracking branch (e.g., origin/master)
-      const isRemoteRef = targetBranch.startsWith('origin/');
+      const remotes = new Set(await listRemotes(repoRootPath));
+      if (remoteName) remotes.add(remoteName);
+      const refRemote = [...remotes].find((name) => targetBranch.startsWith(`${name}/`));
 
-      if (isRemoteRef) {
-        // User specified origin/branch - verify it exists and use it directly
+      if (refRemote) {
+        // User specified remote/branch - verify it exists and use it directly
         try {
           await execa('git', ['rev-parse', '--verify', targetBranch]);
           console.error(
@@ -341,7 +1545,7 @@ export async function runLocalReview(targetBranch = null, ignorePatterns = null)
           targetBranchRef = targetBranch;
         } catch {
           console.error(chalk.red(`Remote-tracking branch '${targetBranch}' does not exist.`));
-          console.error(chalk.gray(`Try fetching it first with: git fetch origin`));
+          console.error(chalk.gray(`Try fetching it first with: git fetch ${refRemote}`));
           return null;
         }
       } else {
@@ -357,62 +1561,67 @@ export async function runLocalReview(targetBranch = null, ignorePatterns = null)
         }
 
         // Try to fetch the latest changes from remote (non-destructive)
-        try {
-          console.error(chalk.gray(`Fetching latest changes for branch '${targetBranch}'...`));
-          await execa('git', ['fetch', 'origin', targetBranch]);
+        if (!remoteName) {
+          console.error(chalk.gray(`No remote configured, using local branch '${targetBranch}'.`));
+        } else {
+          try {
+            console.error(chalk.gray(`Fetching latest changes for branch '${targetBranch}'...`));
+            await execa('git', ['fetch', remoteName, targetBranch]);
 
-          // If fetch succeeded, use the remote-tracking branch for comparison
-          // This is safer as it doesn't modify the user's local branch
-          targetBranchRef = `origin/${targetBranch}`;
-          console.error(
-            chalk.gray(`Using remote-tracking branch 'origin/${targetBranch}' for comparison.`)
-          );
-        } catch {
-          console.warn(chalk.yellow(`Could not fetch remote branch 'origin/${targetBranch}'.`));
-          console.warn(
-            chalk.gray(`Proceeding with local branch '${targetBranch}' for comparison.`)
-          );
-          // targetBranchRef stays as targetBranch (local branch)
+            // If fetch succeeded, use the remote-tracking branch for comparison
+            // This is safer as it doesn't modify the user's local branch
+            targetBranchRef = `${remoteName}/${targetBranch}`;
+            console.error(
+              chalk.gray(`Using remote-tracking branch '${targetBranchRef}' for comparison.`)
+            );
+          } catch {
+            console.warn(
+              chalk.yellow(`Could not fetch remote branch '${remoteName}/${targetBranch}'.`)
+            );
+            console.warn(
+              chalk.gray(`Proceeding with local branch '${targetBranch}' for comparison.`)
+            );
+            // targetBranchRef stays as targetBranch (local branch)
+          }
         }
       }
     }
 
     let mergeBase;
+    let headRef = 'HEAD';
 
-    // 2. If no target branch, use git reflog to find fork point
-    if (!targetBranch) {
+    if (explicitRange) {
+      // 2. Use the explicitly requested commit range
       try {
-        // Use git reflog to find where the branch was created
-        const { stdout: reflog } = await execa('git', [
-          'reflog',
-          'show',
-          '--no-abbrev-commit',
-          branchName,
-        ]);
-        const lines = reflog.split('\n');
-
-        // Look for the branch creation point (last line in reflog)
-        const creationLine = lines[lines.length - 1];
-        if (creationLine) {
-          const match = creationLine.match(/^([a-f0-9]{40})/);
-          if (match) {
-            mergeBase = match[1];
-            console.error(
-              chalk.gray(`Auto-detected fork point from reflog: ${mergeBase.substring(0, 7)}`)
-            );
-          }
-        }
-
-        if (!mergeBase) {
-          throw new Error('Could not find fork point in reflog');
-        }
-      } catch {
+        ({ baseRef: mergeBase, headRef } = await resolveCommitRange(options, repoRootPath));
+      } catch (error) {
+        console.error(chalk.red(error.message));
+        return null;
+      }
+      console.error(
+        chalk.gray(
+          options.commit
+            ? `Reviewing commit ${headRef.substring(0, 7)}`
+            : `Reviewing range '${options.range}'`
+        )
+      );
+    } else if (!targetBranch) {
+      // 2. If no target branch, detect the fork point
+      const forkPoint = await detectForkPoint(branchName, repoRootPath, remoteName);
+      if (!forkPoint) {
         console.error(
           chalk.red('Could not auto-detect fork point. Please specify a target branch.')
         );
         console.error(chalk.gray('Usage: kk review <target-branch>'));
         return null;
       }
+
+      mergeBase = forkPoint.mergeBase;
+      console.error(
+        chalk.gray(
+          `Auto-detected fork point using ${forkPoint.strategy} (${forkPoint.ref}): ${mergeBase.substring(0, 7)}`
+        )
+      );
     } else {
       // 3. Use specified target branch (either remote-tracking or local)
       const { stdout: base } = await execa('git', ['merge-base', targetBranchRef, 'HEAD']);
@@ -424,13 +1633,27 @@ export async function runLocalReview(targetBranch = null, ignorePatterns = null)
       );
     }
 
-    const diffRange = `${mergeBase}..HEAD`;
-    console.error(chalk.gray(`Analyzing commits from ${mergeBase.substring(0, 7)} to HEAD...`));
+    const diffRange = `${mergeBase}..${headRef}`;
+    // git log cannot start from a tree, so a root commit is logged on its own
+    const logRange = mergeBase === EMPTY_TREE_HASH ? headRef : diffRange;
+    if (options.workingTree) {
+      console.error(
+        chalk.gray(
+          `Analyzing changes from ${mergeBase.substring(0, 7)} to the working tree (including uncommitted changes)...`
+        )
+      );
+    } else {
+      console.error(
+        chalk.gray(
+          `Analyzing commits from ${mergeBase.substring(0, 7)} to ${headRef === 'HEAD' ? 'HEAD' : headRef.substring(0, 7)}...`
+        )
+      );
+    }
 
     // 3. Get Commit Messages with proper delimiter
     const { stdout: logOutput } = await execa(
       'git',
-      ['log', '--no-merges', '--pretty=%B---EOC---', diffRange],
+      ['log', '--no-merges', '--pretty=%B---EOC---', logRange],
       { cwd: repoRootPath }
     );
     const commitMessages = logOutput
@@ -438,88 +1661,66 @@ export async function runLocalReview(targetBranch = null, ignorePatterns = null)
       .map((msg) => msg.trim())
       .filter(Boolean);
 
-    // 4. Get changed files and their status
-    const { stdout: nameStatusOutput } = await execa('git', ['diff', '--name-status', diffRange], {
-      cwd: repoRootPath,
-    });
-    const fileList = parseNameStatus(nameStatusOutput);
-
-    // Filter out ignored files
-    let filteredFileList = fileList;
-    let ignoredCount = 0;
-    if (ignorePatterns && ignorePatterns.length > 0) {
-      filteredFileList = fileList.filter((file) => {
-        const ignored = shouldIgnoreFile(file.path, ignorePatterns);
-        if (ignored) {
-          ignoredCount++;
-          console.error(chalk.gray(`  Ignoring: ${file.path}`));
-        }
-        return !ignored;
-      });
-    }
+    const repository = await describeRepository(remote, repoRootPath);
 
-    if (ignoredCount > 0) {
-      console.error(chalk.gray(`Ignored ${ignoredCount} file(s) based on patterns\n`));
+    // Reviewing since the last review narrows the files to the commits added after it
+    let headSha = null;
+    let reviewedSince = null;
+    if (options.sinceLast) {
+      headSha = await resolveReviewedHead(headRef, repoRootPath);
+      reviewedSince = await resolveLastReviewedSha(
+        { ...repository, source_branch: branchName },
+        headSha,
+        repoRootPath
+      );
     }
+    const baseRef = reviewedSince || mergeBase;
 
-    console.error(chalk.gray(`Collecting diffs for ${filteredFileList.length} file(s)...`));
-
-    const changedFiles = [];
-    for (const file of filteredFileList) {
-      const { status, path, oldPath } = file;
-
-      // Run git commands from the repository root to handle all file paths correctly
-      // This works regardless of whether we're in a subdirectory or at the repo root
-      const { stdout: diff } = await execa('git', ['diff', '-U15', diffRange, '--', path], {
-        cwd: repoRootPath,
-      });
-
-      // Get the original content from the base commit
-      let content = '';
-      if (status !== 'A') {
-        // Added files have no original content
-        try {
-          const { stdout: originalContent } = await execa(
-            'git',
-            ['show', `${mergeBase.trim()}:${oldPath}`],
-            { cwd: repoRootPath }
-          );
-          content = originalContent;
-        } catch {
-          // This can happen if a file was added and modified in the same branch
-          console.warn(
-            chalk.yellow(`Could not get original content for ${oldPath}. Assuming it was added.`)
-          );
-        }
-      }
-
-      // Truncate content
-      content = truncateContent(content);
+    // 4. Get changed files and their status
+    // Commit messages and contributors always come from the commits, but in working tree
+    // mode the files are diffed against the working tree so statuses reflect the final state
+    const diffArgs = options.workingTree ? [mergeBase] : [`${baseRef}..${headRef}`];
+    const { stdout: nameStatusOutput } = await execa(
+      'git',
+      ['diff', '--name-status', ...diffArgs],
+      { cwd: repoRootPath }
+    );
+    let fileList = parseNameStatus(nameStatusOutput);
 
-      // For deleted files, truncate the diff as well
-      let truncatedDiff = diff;
-      if (status === 'D') {
-        truncatedDiff = truncateContent(diff);
-      }
+    // A CI merge checkout of an already reviewed head still differs from it by the target's
+    // changes. Merging the target branch in after a review brings its files into lastSha..HEAD
+    // too; only the files the branch itself changes are new work
+    if (reviewedSince && reviewedSince === headSha) {
+      fileList = [];
+    } else if (reviewedSince && fileList.length > 0) {
+      fileList = await keepBranchFiles(fileList, `${mergeBase}..${headRef}`, repoRootPath);
+    }
 
-      changedFiles.push({
-        path: path,
-        status: status,
-        diff: truncatedDiff,
-        content: content,
-        ...((status === 'R' || status === 'C') && { old_path: oldPath }), // Include old_path for renames and copies
-      });
+    if (options.workingTree && options.includeUntracked) {
+      fileList.push(...(await listUntrackedFiles(repoRootPath)));
     }
 
+    const collected = await collectChangedFiles(
+      fileList,
+      {
+        diffArgs,
+        baseRef,
+        newRef: options.workingTree ? null : headRef,
+        repoRootPath,
+      },
+      settings
+    );
+    const { changedFiles, redactions } = redactSecrets(collected.changedFiles);
+
     // 5. Get contributors from commits
     const { author_email, author_name, contributors } = await getContributors(
-      diffRange,
+      logRange,
       repoRootPath
     );
 
-    // 6. Assemble the final payload
-    return {
-      repo_url: normalizeRepoUrl(repoUrl.trim()),
+    // 6. Assemble the final payload, trimmed to the size budget unless it is sent in batches
+    const payload = {
+      ...repository,
       commit_messages: commitMessages,
       changed_files: changedFiles,
       source_branch: branchName,
@@ -528,8 +1729,12 @@ export async function runLocalReview(targetBranch = null, ignorePatterns = null)
       contributors,
       changed_lines: calculateChangedLines(changedFiles),
       is_ci: detectCIProvider() !== null,
-      pr_url: getPrUrl(),
+      pr_url: options.prUrl || getPrUrl(),
+      ...(options.sinceLast && { head_sha: headSha, reviewed_since: reviewedSince }),
+      ...(collected.omittedFiles.length > 0 && { omitted_files: collected.omittedFiles }),
+      ...(redactions.length > 0 && { redacted_secrets: redactions }),
     };
+    return options.batch ? payload : fitPayloadToBudget(payload, settings.maxPayloadSize);
   } catch (error) {
     console.error(chalk.red('Failed to run local review analysis:'), error.message);
     if (error.stderr) {
@@ -538,3 +1743,125 @@ export async function runLocalReview(targetBranch = null, ignorePatterns = null)
     return null; // Return null to indicate failure
   }
 }
+
+/**
+ * Review a remote pull request by number without checking it out
+ * The PR is fetched into temporary refs under refs/korekt/ which are removed afterwards,
+ * so neither the working tree nor any local branch is touched.
+ * @param {string|number} prNumber - Pull request number
+ * @param {string|null} targetBranch - Base branch, only needed when the host has no merge ref for the PR
+ * @param {string[]|null} ignorePatterns - Array of glob patterns to ignore files
+ * @param {Object} options - Same options as runLocalReview
+ * @returns {Object|null} - The payload object ready for API submission, or null on error
+ */
+export async function runPullRequestReview(
+  prNumber,
+  targetBranch = null,
+  ignorePatterns = null,
+  options = {}
+) {
+  const tempRefs = [];
+  let repoRootPath;
+
+  try {
+    if (!/^\d+$/.test(String(prNumber))) {
+      console.error(chalk.red(`Invalid pull request number '${prNumber}'.`));
+      return null;
+    }
+
+    const { stdout: repoRoot } = await execa('git', ['rev-parse', '--show-toplevel']);
+    repoRootPath = repoRoot.trim();
+
+    const settings =
+      options.settings || getConfig({ targetBranch, remote: options.remote }, repoRootPath);
+    const remote = await resolveRemote(settings.remote, repoRootPath);
+    if (!remote) {
+      console.error(chalk.red('Pull request review needs a git remote, but none is configured.'));
+      return null;
+    }
+
+    const normalizedUrl = normalizeRepoUrl(remote.url);
+    const host = detectGitHost(normalizedUrl);
+    if (!host) {
+      console.error(chalk.red(`Could not determine the hosting provider for ${normalizedUrl}.`));
+      console.error(
+        chalk.gray('Pull request review supports GitHub, GitLab, Bitbucket and Azure.')
+      );
+      return null;
+    }
+
+    const git = async (...args) => {
+      const { stdout } = await execa('git', args, { cwd: repoRootPath });
+      return stdout.trim();
+    };
+
+    const fetchRef = async (kind) => {
+      const template = PULL_REQUEST_REFS[host][kind];
+      if (!template) return null;
+
+      const remoteRef = template.replace('{id}', prNumber);
+      const localRef = `refs/korekt/pr/${prNumber}/${kind}`;
+      try {
+        await git('fetch', '--no-tags', remote.name, `+${remoteRef}:${localRef}`);
+      } catch {
+        return null;
+      }
+      tempRefs.push(localRef);
+      return git('rev-parse', localRef);
+    };
+
+    console.error(chalk.gray(`Fetching pull request #${prNumber} from ${host}...`));
+
+    // Prefer the merge ref: its parents give both the PR head and the current tip of its base
+    let headSha;
+    let baseSha;
+    const mergeSha = await fetchRef('merge');
+    if (mergeSha) {
+      baseSha = await git('rev-parse', `${mergeSha}^1`);
+      headSha = await git('rev-parse', `${mergeSha}^2`);
+    } else {
+      headSha = await fetchRef('head');
+      if (!headSha) {
+        console.error(chalk.red(`Could not fetch pull request #${prNumber} from ${remote.name}.`));
+        return null;
+      }
+
+      const baseBranch = settings.targetBranch;
+      if (!baseBranch) {
+        console.error(
+          chalk.red(`Could not determine the base branch of pull request #${prNumber}.`)
+        );
+        console.error(chalk.gray(`Usage: kk pr ${prNumber} <target-branch>`));
+        return null;
+      }
+      try {
+        await git('fetch', '--no-tags', remote.name, baseBranch);
+        baseSha = await git('rev-parse', 'FETCH_HEAD');
+      } catch {
+        baseSha = await git('rev-parse', '--verify', `${baseBranch}^{commit}`);
+      }
+    }
+
+    // A three-dot range reviews the PR from its merge-base with the target
+    return await runLocalReview(null, ignorePatterns, {
+      ...options,
+      range: `${baseSha}...${headSha}`,
+      prUrl: buildPullRequestUrl(normalizedUrl, host, prNumber),
+      sourceBranch: `pr/${prNumber}`,
+    });
+  } catch (error) {
+    console.error(chalk.red('Failed to review pull request:'), error.message);
+    if (error.stderr) {
+      console.error(chalk.red('Git Error:'), error.stderr);
+    }
+    return null;
+  } finally {
+    for (const ref of tempRefs) {
+      try {
+        await execa('git', ['update-ref', '-d', ref], { cwd: repoRootPath });
+      } catch {
+        // Leftover refs under refs/korekt/ are harmless
+      }
+    }
+  }
+}
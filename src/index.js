@@ -1,7 +1,6 @@
 #!/usr/bin/env node
 
-import { program } from 'commander';
-import axios from 'axios';
+import { program, InvalidArgumentError } from 'commander';
 import chalk from 'chalk';
 import readline from 'readline';
 import ora from 'ora';
@@ -11,8 +10,25 @@ import { join, dirname, resolve } from 'path';
 import { fileURLToPath } from 'url';
 import { spawn } from 'child_process';
 import { tmpdir } from 'os';
-import { runLocalReview } from './git-logic.js';
-import { getApiKey, setApiKey, getApiEndpoint, setApiEndpoint } from './config.js';
+import { runLocalReview, runPullRequestReview } from './git-logic.js';
+import {
+  planReview,
+  submitReview,
+  ReviewPayloadTooLargeError,
+  ReviewTimeoutError,
+} from './review-client.js';
+import { clearCache, getCacheStats } from './cache.js';
+import { isAlreadyReviewed, recordReviewedSha } from './review-state.js';
+import { describeRetryReason } from './retry.js';
+import {
+  getApiKey,
+  setApiKey,
+  getApiEndpoint,
+  setApiEndpoint,
+  getConfig,
+  findProjectConfigFile,
+  normalizeSetting,
+} from './config.js';
 import { formatReviewOutput } from './formatter.js';
 import { detectCIProvider, truncateFileData, formatErrorOutput } from './utils.js';
 
@@ -50,6 +66,117 @@ async function confirmAction(message) {
   });
 }
 
+/**
+ * Map command options to the repository and file-collection options shared by all review commands
+ * @param {Object} options - Parsed command options
+ * @returns {Object} - Options for runLocalReview / runUncommittedReview
+ */
+function getCollectionOptions(options) {
+  return {
+    contextLines: options.contextLines,
+    maxFileSize: options.maxFileSize,
+    maxContentLines: options.maxContentLines,
+    maxPayloadSize: options.maxPayloadSize,
+    // Commander defaults negatable flags to true; only pass an explicit opt-out
+    defaultIgnores: options.defaultIgnores === false ? false : undefined,
+    newContent: options.newContent,
+    remote: options.remote,
+    jobs: options.jobs,
+    // Batched reviews are split instead of trimmed to the payload budget
+    batch: options.batch,
+  };
+}
+
+/**
+ * Show which files were left out of the payload or trimmed, over the max file size or
+ * to fit the size budget
+ * @param {Object} payload - The payload about to be sent
+ */
+function logOmittedFiles(payload) {
+  if (!payload.omitted_files || payload.omitted_files.length === 0) {
+    return;
+  }
+
+  log(chalk.bold(`  ${payload.omitted_files.length} files left out or trimmed:`));
+  payload.omitted_files.forEach((file) => {
+    let detail = file.omitted === 'file' ? 'left out' : 'diff only';
+    if (file.reason === 'max_file_size') {
+      detail = 'over the max file size';
+    }
+    log(chalk.gray(`    ${file.path} (${detail}, +${file.additions} -${file.deletions})`));
+  });
+  log('');
+}
+
+/**
+ * Show which files reuse a cached review instead of being sent
+ * @param {Array} cached - Cached reviews from planReview
+ */
+function logCachedReviews(cached) {
+  if (cached.length === 0) {
+    return;
+  }
+
+  log(chalk.gray(`♻️  Reusing cached reviews of ${cached.length} unchanged file(s):`));
+  cached.forEach((entry) => log(chalk.gray(`    ${entry.path}`)));
+}
+
+/**
+ * Show which secrets were redacted from the payload
+ * @param {Object} payload - The payload about to be sent
+ */
+function logRedactedSecrets(payload) {
+  if (!payload.redacted_secrets) {
+    return;
+  }
+
+  log(chalk.bold(`  🔒 Possible secrets redacted before sending:`));
+  payload.redacted_secrets.forEach(({ path, type, count }) => {
+    log(chalk.yellow(`    ${path}: ${count} × ${type}`));
+  });
+  log('');
+}
+
+/**
+ * Stop before anything is sent when secrets were found and --fail-on-secrets is set
+ * @param {Object} payload - The collected payload
+ * @param {boolean} failOnSecrets - Resolved fail_on_secrets setting
+ */
+function checkRedactedSecrets(payload, failOnSecrets) {
+  if (failOnSecrets && payload.redacted_secrets) {
+    log('');
+    logRedactedSecrets(payload);
+    log(chalk.red('Aborting: possible secrets found in the changes (--fail-on-secrets).'));
+    process.exit(1);
+  }
+}
+
+/**
+ * Show how a batched review is split into API requests
+ * @param {Array<Object>} batches - Payloads as returned by partitionPayload
+ */
+function logBatches(batches) {
+  if (batches.length < 2) {
+    return;
+  }
+
+  log(chalk.bold(`  Sent in ${batches.length} batches:`));
+  batches.forEach((batch) => {
+    const paths = batch.changed_files.map((file) => file.path).join(', ');
+    log(chalk.gray(`    ${batch.batch.index}. ${paths}`));
+  });
+  log('');
+}
+
+/**
+ * Describe a retry for the spinner
+ * @param {Object} retry - Retry details passed to onRetry by withRetry
+ * @returns {string} - e.g. " attempt 2/4 after HTTP 502,"
+ */
+function formatRetryStatus({ attempt, attempts, error }) {
+  return ` attempt ${attempt}/${attempts} after ${describeRetryReason(error)},`;
+}
+
 /**
  * Run the CI integration script to post comments
  * @param {string} provider - CI provider (github, azure, bitbucket)
@@ -106,8 +233,14 @@ program
 Examples:
   $ kk review                      Review committed changes (auto-detect base)
   $ kk review main                 Review changes against main branch
+  $ kk review main --working-tree  Review commits plus uncommitted changes against main
+  $ kk review --commit abc123      Review a single commit
+  $ kk review --since-last         Review only what changed since the last review
+  $ kk pr 123                      Review pull request #123 without checking it out
   $ kk stg --dry-run               Preview staged changes review
+  $ kk stg --ignore "*.lock"       Review staged changes, skipping lockfiles
   $ kk diff                        Review unstaged changes
+  $ kk diff --include-untracked    Review unstaged changes and new untracked files
   $ kk review main --json          Output raw JSON (for CI/CD integration)
   $ kk review main --comment       Review and post comments to PR (CI/CD)
 
@@ -122,198 +255,216 @@ Configuration:
 `
   );
 
-program
-  .command('review')
-  .description('Review the changes in the current branch.')
-  .argument(
-    '[target-branch]',
-    'The branch to compare against (e.g., main, develop). If not specified, auto-detects fork point.'
-  )
-  .option('--dry-run', 'Show payload without sending to API')
-  .option(
-    '--ignore <patterns...>',
-    'Ignore files matching these patterns (e.g., "*.lock" "dist/*")'
-  )
-  .option('--json', 'Output raw API response as JSON')
-  .option('--comment', 'Post review results as PR comments (auto-detects CI provider)')
-  .option('--post-ticket', 'Post review results to linked ticket (e.g., JIRA)')
-  .action(async (targetBranch, options) => {
-    const reviewTarget = targetBranch ? `against '${targetBranch}'` : '(auto-detecting fork point)';
-
-    // Progress messages go to stderr
-    log(chalk.blue.bold(`🚀 Starting AI Code Review ${reviewTarget}...`));
-
-    const apiKey = getApiKey();
-    if (!apiKey) {
-      log(chalk.red('API Key not found! Please run `kk config --key YOUR_KEY` first.'));
-      process.exit(1);
-    }
-
-    const apiEndpoint = getApiEndpoint();
-    if (!apiEndpoint) {
-      log(
-        chalk.red('API Endpoint not found! Please run `kk config --endpoint YOUR_ENDPOINT` first.')
-      );
-      process.exit(1);
+/**
+ * Commander parser for a numeric flag. A bad value is an error, instead of being dropped
+ * in favor of the project or global config like an invalid config value (see normalizeSetting)
+ * @param {string} key - Internal (camelCase) setting name
+ * @param {number} [minimum=0] - Smallest value normalizeSetting accepts for the setting
+ * @returns {Function}
+ */
+function parseCount(key, minimum = 0) {
+  return (value) => {
+    const number = normalizeSetting(key, value);
+    if (number === undefined) {
+      throw new InvalidArgumentError(`Expected a whole number of ${minimum} or more.`);
     }
+    return number;
+  };
+}
 
-    // Gather all data using our git logic module
-    const payload = await runLocalReview(targetBranch, options.ignore);
-
-    if (!payload) {
-      log(chalk.red('Could not proceed with review due to errors during analysis.'));
-      process.exit(1);
-    }
+/**
+ * Add the options shared by every review command
+ * @param {Command} command - The review command
+ * @returns {Command}
+ */
+function addReviewOptions(command) {
+  return command
+    .option('--dry-run', 'Show payload without sending to API')
+    .option(
+      '--ignore <patterns...>',
+      'Ignore files matching these patterns (e.g., "*.lock" "dist/*")'
+    )
+    .option(
+      '--context-lines <lines>',
+      'Number of context lines around each change (default: 15)',
+      parseCount('contextLines')
+    )
+    .option(
+      '--max-file-size <bytes>',
+      'Skip files whose diff is larger than this many bytes',
+      parseCount('maxFileSize')
+    )
+    .option(
+      '--max-content-lines <lines>',
+      'Line budget for file content, kept around the changes (default: 2000)',
+      parseCount('maxContentLines', 1)
+    )
+    .option(
+      '--max-payload-size <bytes>',
+      'Trim lower-priority files to keep the payload under this size (default: 2097152, 0 for no limit)',
+      parseCount('maxPayloadSize')
+    )
+    .option(
+      '--jobs <count>',
+      'Number of files to collect in parallel (default: 8)',
+      parseCount('jobs', 1)
+    )
+    .option('--no-default-ignores', 'Review lockfiles, generated, vendored and binary files too')
+    .option('--new-content', 'Also send the full changed version of each file')
+    .option('--batch', 'Split large reviews into several API requests and merge the results')
+    .option(
+      '--remote <name>',
+      'Git remote to identify the repository and fetch from (default: origin)'
+    )
+    .option('--fail-on-secrets', 'Abort instead of sending when possible secrets are found')
+    .option('--no-cache', 'Review every file again instead of reusing cached reviews')
+    .option(
+      '--timeout <seconds>',
+      'Seconds to wait for the review API (default: 600, 0 for no limit)',
+      parseCount('timeout')
+    )
+    .option(
+      '--retries <count>',
+      'Retries on rate limits, server and network errors (default: 3)',
+      parseCount('retries')
+    )
+    .option('--json', 'Output raw API response as JSON');
+}
 
-    // If dry-run, just show the payload and exit
-    if (options.dryRun) {
-      log(chalk.yellow('\n📋 Dry Run - Payload that would be sent:\n'));
+/**
+ * Add the options that publish the results to the pull request and its ticket.
+ * Only review and pr have them: staged and unstaged changes are not part of any pull request,
+ * so there is nothing to comment on or link the results to.
+ * @param {Command} command - The review command
+ * @returns {Command}
+ */
+function addPublishOptions(command) {
+  return command
+    .option('--comment', 'Post review results as PR comments (auto-detects CI provider)')
+    .option('--post-ticket', 'Post review results to linked ticket (e.g., JIRA)');
+}
 
-      // Create a shortened version for display
-      const displayPayload = {
-        ...payload,
-        changed_files: payload.changed_files.map((file) => truncateFileData(file)),
-      };
+addPublishOptions(
+  addReviewOptions(
+    program
+      .command('review')
+      .description('Review the changes in the current branch.')
+      .argument(
+        '[target-branch]',
+        'The branch to compare against (e.g., main, develop). If not specified, auto-detects fork point.'
+      )
+      .option(
+        '--working-tree',
+        'Include staged and unstaged changes (diff the merge-base against the working tree)'
+      )
+      .option('--include-untracked', 'With --working-tree, also review untracked files')
+      .option('--range <range>', 'Review an explicit commit range (e.g., abc123..def456)')
+      .option('--commit <sha>', 'Review a single commit')
+      .option('--since-last', 'Only review the changes made since the branch was last reviewed')
+  )
+).action(async (targetBranch, options) => {
+  let reviewTarget = targetBranch ? `against '${targetBranch}'` : '(auto-detecting fork point)';
+  if (options.range) {
+    reviewTarget = `for range '${options.range}'`;
+  } else if (options.commit) {
+    reviewTarget = `for commit '${options.commit}'`;
+  }
 
-      log(JSON.stringify(displayPayload, null, 2));
-      log(chalk.gray('\n💡 Run without --dry-run to send to API'));
-      log(chalk.gray('💡 Diffs and content are truncated in dry-run for readability'));
-      return;
-    }
+  await reviewCommitted(reviewTarget, { ...options, targetBranch }, (settings) =>
+    runLocalReview(targetBranch, options.ignore, {
+      ...getCollectionOptions(options),
+      settings,
+      workingTree: options.workingTree,
+      includeUntracked: options.includeUntracked,
+      range: options.range,
+      commit: options.commit,
+      sinceLast: options.sinceLast,
+    })
+  );
+});
+
+addPublishOptions(
+  addReviewOptions(
+    program
+      .command('pr')
+      .description('Review a remote pull request by number without checking it out.')
+      .argument('<number>', 'The pull request number')
+      .argument(
+        '[target-branch]',
+        'Base branch of the pull request. Only needed when the host does not provide a merge ref.'
+      )
+  )
+).action(async (prNumber, targetBranch, options) => {
+  await reviewCommitted(`for pull request #${prNumber}`, { ...options, targetBranch }, (settings) =>
+    runPullRequestReview(prNumber, targetBranch, options.ignore, {
+      ...getCollectionOptions(options),
+      settings,
+    })
+  );
+});
 
-    // Show summary and ask for confirmation (auto-confirm in JSON/comment mode)
-    if (!options.json && !options.comment) {
-      log(chalk.yellow('\n📋 Ready to submit for review:\n'));
+/**
+ * Review committed changes: collect the payload, confirm, submit and report
+ * @param {string} reviewTarget - Description of what is being reviewed, for progress output
+ * @param {Object} options - Parsed command options, with the targetBranch argument
+ * @param {Function} collectPayload - Async function given the resolved settings, returning the
+ *   payload, or null on error
+ */
+async function reviewCommitted(reviewTarget, options, collectPayload) {
+  // Progress messages go to stderr
+  log(chalk.blue.bold(`🚀 Starting AI Code Review ${reviewTarget}...`));
+
+  await runReview(options, collectPayload, {
+    title: 'Ready to submit for review:',
+    failure: 'Could not proceed with review due to errors during analysis.',
+    describe: (payload) => {
       log(`  Branch: ${chalk.cyan(payload.source_branch)}`);
       log(`  Commits: ${chalk.cyan(payload.commit_messages.length)}`);
-      log(`  Files: ${chalk.cyan(payload.changed_files.length)}\n`);
-
-      log(chalk.bold(`  ${payload.changed_files.length} files to review:`));
-      payload.changed_files.forEach((file) => {
-        const statusColor =
-          {
-            M: chalk.yellow,
-            A: chalk.green,
-            D: chalk.red,
-            R: chalk.blue,
-            C: chalk.cyan,
-          }[file.status] || ((text) => text);
-        log(`    ${statusColor(file.status + ' ' + file.path)}`);
-      });
-      log('');
-
-      const confirmed = await confirmAction(chalk.bold('Proceed with AI review? (Y/n): '));
-
-      if (!confirmed) {
-        log(chalk.yellow('Review cancelled.'));
-        return;
+      if (payload.reviewed_since) {
+        log(`  Since last review: ${chalk.cyan(payload.reviewed_since.substring(0, 7))}`);
       }
-    }
-
-    // Send the payload to API with progress indicator
-    const spinner = ora('Submitting review to the AI...').start();
-    const startTime = Date.now();
-
-    const timer = setInterval(() => {
-      const elapsed = Math.floor((Date.now() - startTime) / 1000);
-      spinner.text = `Submitting review to the AI... ${elapsed}s`;
-    }, 1000);
-
-    // Add post_to_ticket flag if requested
-    if (options.postTicket) {
-      payload.post_to_ticket = true;
-    }
+      log(`  Files: ${chalk.cyan(payload.changed_files.length)}\n`);
+    },
+  });
+}
 
-    try {
-      const response = await axios.post(apiEndpoint, payload, {
-        headers: {
-          Authorization: `Bearer ${apiKey}`,
-          'Content-Type': 'application/json',
-        },
+/**
+ * Review staged or unstaged changes
+ * @param {string} mode - 'staged' or 'unstaged'
+ * @param {Object} options - Parsed command options
+ */
+async function reviewUncommitted(mode, options) {
+  await runReview(
+    options,
+    async (settings) => {
+      const { runUncommittedReview } = await import('./git-logic.js');
+      return runUncommittedReview(mode, options.ignore, {
+        ...getCollectionOptions(options),
+        settings,
+        includeUntracked: options.includeUntracked,
       });
-
-      clearInterval(timer);
-      const elapsed = Math.floor((Date.now() - startTime) / 1000);
-      spinner.succeed(`Review completed in ${elapsed}s!`);
-
-      // Handle --comment flag: post results to PR
-      if (options.comment) {
-        const provider = detectCIProvider();
-        if (!provider) {
-          log(
-            chalk.red(
-              'Could not detect CI provider. Make sure required environment variables are set:'
-            )
-          );
-          log(chalk.gray('  GitHub: GITHUB_TOKEN, GITHUB_REPOSITORY, PR_NUMBER, COMMIT_HASH'));
-          log(chalk.gray('  Azure: SYSTEM_ACCESSTOKEN, SYSTEM_PULLREQUEST_PULLREQUESTID'));
-          log(chalk.gray('  Bitbucket: BITBUCKET_REPO_SLUG, BITBUCKET_PR_ID'));
-          process.exit(1);
-        }
-
-        log(chalk.blue(`Posting review comments to ${provider}...`));
-        try {
-          await runCIScript(provider, response.data);
-          log(chalk.green('Successfully posted review comments!'));
-        } catch (err) {
-          log(chalk.red(`Failed to post comments: ${err.message}`));
-          process.exit(1);
-        }
-        return;
-      }
-
-      // Output results to stdout
-      if (options.json) {
-        output(JSON.stringify(response.data, null, 2));
-      } else {
-        formatReviewOutput(response.data);
-      }
-    } catch (error) {
-      clearInterval(timer);
-      const elapsed = Math.floor((Date.now() - startTime) / 1000);
-      spinner.fail(`Review failed after ${elapsed}s`);
-
-      // Error details to stderr
-      log(chalk.red('\n❌ An error occurred during the API request:'));
-      if (error.response) {
-        log(chalk.red('Status:') + ' ' + error.response.status);
-        log(chalk.red('Data:') + ' ' + JSON.stringify(error.response.data, null, 2));
-      } else {
-        log(error.message);
-      }
-
-      // If JSON mode, also output error as JSON to stdout
-      if (options.json) {
-        output(JSON.stringify(formatErrorOutput(error), null, 2));
-      }
-
-      process.exit(1);
+    },
+    {
+      title: 'Ready to submit uncommitted changes for review:',
+      failure: 'No changes found or error occurred during analysis.',
+      describe: () => log(chalk.gray('  Comparing against HEAD (last commit)\n')),
     }
-  });
-
-program
-  .command('review-staged')
-  .aliases(['stg', 'staged', 'cached'])
-  .description('Review staged changes (git diff --cached)')
-  .option('--dry-run', 'Show payload without sending to API')
-  .option('--json', 'Output raw API response as JSON')
-  .action(async (options) => {
-    log(chalk.blue.bold('🚀 Reviewing staged changes...'));
-    await reviewUncommitted('staged', options);
-  });
-
-program
-  .command('review-unstaged')
-  .alias('diff')
-  .description('Review unstaged changes (git diff)')
-  .option('--dry-run', 'Show payload without sending to API')
-  .option('--json', 'Output raw API response as JSON')
-  .action(async (options) => {
-    log(chalk.blue.bold('🚀 Reviewing unstaged changes...'));
-    await reviewUncommitted('unstaged', options);
-  });
+  );
+}
 
-async function reviewUncommitted(mode, options) {
+/**
+ * Collect the payload, confirm, submit it with submitReview and report the results.
+ * Shared by every review command.
+ * @param {Object} options - Parsed command options
+ * @param {string} [options.targetBranch] - Target branch argument of review and pr
+ * @param {Function} collectPayload - Async function given the resolved settings, returning the
+ *   payload, or null on error
+ * @param {Object} display - Command-specific output
+ * @param {string} display.title - Heading of the summary shown before confirming
+ * @param {Function} display.describe - Logs what is about to be reviewed, given the payload
+ * @param {string} display.failure - Shown when no payload could be collected
+ */
+async function runReview(options, collectPayload, display) {
   const apiKey = getApiKey();
   if (!apiKey) {
     log(chalk.red('API Key not found! Please run `kk config --key YOUR_KEY` first.'));
@@ -328,34 +479,74 @@ async function reviewUncommitted(mode, options) {
     process.exit(1);
   }
 
-  const { runUncommittedReview } = await import('./git-logic.js');
-  const payload = await runUncommittedReview(mode);
+  // Resolve the settings once, so collecting and submitting use the same ones.
+  // --json overrides output_format from .korekt.yml
+  const settings = getConfig({
+    ...getCollectionOptions(options),
+    targetBranch: options.targetBranch,
+    ignore: options.ignore,
+    outputFormat: options.json ? 'json' : undefined,
+    failOnSecrets: options.failOnSecrets,
+    timeout: options.timeout,
+    retries: options.retries,
+  });
+  const { outputFormat, maxPayloadSize, failOnSecrets, timeout, retries } = settings;
+  options.json = outputFormat === 'json';
+
+  // Gather all data using our git logic module
+  const payload = await collectPayload(settings);
 
   if (!payload) {
-    log(chalk.red('No changes found or error occurred during analysis.'));
+    log(chalk.red(display.failure));
     process.exit(1);
   }
 
+  // With --since-last, a re-run on the same commit has nothing to send or post
+  if (isAlreadyReviewed(payload)) {
+    log(
+      chalk.green(`✅ Nothing new since the last review at ${payload.head_sha.substring(0, 7)}.`)
+    );
+    return;
+  }
+
+  checkRedactedSecrets(payload, failOnSecrets);
+
+  // Files unchanged since their last review reuse the cached results
+  const plan = planReview(payload, {
+    cache: options.cache !== false,
+    // A dry run looks at the cache without counting towards its statistics
+    record: !options.dryRun,
+    batch: options.batch,
+    maxPayloadSize,
+  });
+  const { payload: reviewPayload, batches } = plan;
+  logCachedReviews(plan.cached);
+
+  // If dry-run, just show the payload and exit
   if (options.dryRun) {
     log(chalk.yellow('\n📋 Dry Run - Payload that would be sent:\n'));
 
+    // Create a shortened version for display
     const displayPayload = {
-      ...payload,
-      changed_files: payload.changed_files.map((file) => truncateFileData(file)),
+      ...reviewPayload,
+      changed_files: reviewPayload.changed_files.map((file) => truncateFileData(file)),
     };
 
     log(JSON.stringify(displayPayload, null, 2));
+    logRedactedSecrets(payload);
+    logBatches(batches);
     log(chalk.gray('\n💡 Run without --dry-run to send to API'));
     log(chalk.gray('💡 Diffs and content are truncated in dry-run for readability'));
     return;
   }
 
-  // Show summary and ask for confirmation (auto-confirm in JSON mode)
-  if (!options.json) {
-    log(chalk.yellow('\n📋 Ready to submit uncommitted changes for review:\n'));
-    log(chalk.gray('  Comparing against HEAD (last commit)\n'));
-    log(chalk.bold(`  ${payload.changed_files.length} files to review:`));
-    payload.changed_files.forEach((file) => {
+  // Show summary and ask for confirmation (auto-confirm in JSON/comment mode)
+  if (!options.json && !options.comment) {
+    log(chalk.yellow(`\n📋 ${display.title}\n`));
+    display.describe(payload);
+
+    log(chalk.bold(`  ${reviewPayload.changed_files.length} files to review:`));
+    reviewPayload.changed_files.forEach((file) => {
       const statusColor =
         {
           M: chalk.yellow,
@@ -367,6 +558,9 @@ async function reviewUncommitted(mode, options) {
       log(`    ${statusColor(file.status + ' ' + file.path)}`);
     });
     log('');
+    batches.forEach(logOmittedFiles);
+    logRedactedSecrets(payload);
+    logBatches(batches);
 
     const confirmed = await confirmAction(chalk.bold('Proceed with AI review? (Y/n): '));
 
@@ -376,19 +570,40 @@ async function reviewUncommitted(mode, options) {
     }
   }
 
-  const spinner = ora('Submitting review to the AI...').start();
+  if (options.postTicket && batches.length > 1) {
+    log(chalk.yellow('\n--post-ticket is not supported for batched reviews, skipping.'));
+  }
+
+  // Send the payload to API with progress indicator
+  const batchLabel = batches.length > 1 ? ` (${batches.length} batches)` : '';
+  const spinner = ora(`Submitting review to the AI${batchLabel}...`).start();
   const startTime = Date.now();
+  let completedBatches = 0;
+  let retryStatus = '';
 
-  const timer = setInterval(() => {
+  const updateSpinner = () => {
     const elapsed = Math.floor((Date.now() - startTime) / 1000);
-    spinner.text = `Submitting review to the AI... ${elapsed}s`;
-  }, 1000);
+    const progress = batches.length > 1 ? ` ${completedBatches}/${batches.length} batches,` : '';
+    spinner.text = `Submitting review to the AI...${progress}${retryStatus} ${elapsed}s`;
+  };
+  const timer = setInterval(updateSpinner, 1000);
 
   try {
-    const response = await axios.post(apiEndpoint, payload, {
-      headers: {
-        Authorization: `Bearer ${apiKey}`,
-        'Content-Type': 'application/json',
+    const results = await submitReview(payload, {
+      apiKey,
+      apiEndpoint,
+      timeout,
+      retries,
+      cache: options.cache !== false,
+      postToTicket: options.postTicket,
+      plan,
+      onProgress: (event) => {
+        if (event.type === 'retry') {
+          retryStatus = formatRetryStatus(event);
+        } else {
+          completedBatches = event.completed;
+        }
+        updateSpinner();
       },
     });
 
@@ -396,11 +611,42 @@ async function reviewUncommitted(mode, options) {
     const elapsed = Math.floor((Date.now() - startTime) / 1000);
     spinner.succeed(`Review completed in ${elapsed}s!`);
 
+    // With --since-last, remember where this review ended
+    if (results.reviewed_sha) {
+      recordReviewedSha(payload);
+    }
+
+    // Handle --comment flag: post results to PR
+    if (options.comment) {
+      const provider = detectCIProvider();
+      if (!provider) {
+        log(
+          chalk.red(
+            'Could not detect CI provider. Make sure required environment variables are set:'
+          )
+        );
+        log(chalk.gray('  GitHub: GITHUB_TOKEN, GITHUB_REPOSITORY, PR_NUMBER, COMMIT_HASH'));
+        log(chalk.gray('  Azure: SYSTEM_ACCESSTOKEN, SYSTEM_PULLREQUEST_PULLREQUESTID'));
+        log(chalk.gray('  Bitbucket: BITBUCKET_REPO_SLUG, BITBUCKET_PR_ID'));
+        process.exit(1);
+      }
+
+      log(chalk.blue(`Posting review comments to ${provider}...`));
+      try {
+        await runCIScript(provider, results);
+        log(chalk.green('Successfully posted review comments!'));
+      } catch (err) {
+        log(chalk.red(`Failed to post comments: ${err.message}`));
+        process.exit(1);
+      }
+      return;
+    }
+
     // Output results to stdout
     if (options.json) {
-      output(JSON.stringify(response.data, null, 2));
+      output(JSON.stringify(results, null, 2));
     } else {
-      formatReviewOutput(response.data);
+      formatReviewOutput(results);
     }
   } catch (error) {
     clearInterval(timer);
@@ -409,12 +655,17 @@ async function reviewUncommitted(mode, options) {
 
     // Error details to stderr
     log(chalk.red('\n❌ An error occurred during the API request:'));
-    if (error.response) {
-      log(chalk.red('Status:') + ' ' + error.response.status);
-      log(chalk.red('Data:') + ' ' + JSON.stringify(error.response.data, null, 2));
+    if (error.status) {
+      log(chalk.red('Status:') + ' ' + error.status);
+      log(chalk.red('Data:') + ' ' + JSON.stringify(error.data, null, 2));
     } else {
       log(error.message);
     }
+    if (error instanceof ReviewPayloadTooLargeError) {
+      log(chalk.gray('💡 The payload is too large; lower --max-payload-size to trim it further'));
+    } else if (error instanceof ReviewTimeoutError) {
+      log(chalk.gray('💡 The API did not respond in time; raise --timeout for large reviews'));
+    }
 
     // If JSON mode, also output error as JSON to stdout
     if (options.json) {
@@ -425,6 +676,54 @@ async function reviewUncommitted(mode, options) {
   }
 }
 
+addReviewOptions(
+  program
+    .command('review-staged')
+    .aliases(['stg', 'staged', 'cached'])
+    .description('Review staged changes (git diff --cached)')
+).action(async (options) => {
+  log(chalk.blue.bold('🚀 Reviewing staged changes...'));
+  await reviewUncommitted('staged', options);
+});
+
+addReviewOptions(
+  program
+    .command('review-unstaged')
+    .alias('diff')
+    .description('Review unstaged changes (git diff)')
+    .option('--include-untracked', 'Also review new files that are not tracked by git yet')
+).action(async (options) => {
+  log(chalk.blue.bold('🚀 Reviewing unstaged changes...'));
+  await reviewUncommitted('unstaged', options);
+});
+
+const cacheCommand = program.command('cache').description('Manage the local cache of file reviews');
+
+cacheCommand
+  .command('stats')
+  .description('Show how many file reviews are cached and how often they were reused')
+  .action(() => {
+    const stats = getCacheStats();
+    const lookups = stats.hits + stats.misses;
+
+    console.log(chalk.bold('\nReview Cache:\n'));
+    console.log(`  Location: ${chalk.cyan(stats.path)}`);
+    console.log(`  Cached files: ${chalk.cyan(stats.entries)}`);
+    console.log(`  Size: ${chalk.cyan(`${(stats.size / 1024).toFixed(1)} KB`)}`);
+    console.log(
+      `  Reused: ${chalk.cyan(stats.hits)} of ${lookups} files` +
+        (lookups > 0 ? ` (${Math.round((stats.hits / lookups) * 100)}%)\n` : '\n')
+    );
+  });
+
+cacheCommand
+  .command('clear')
+  .description('Remove all cached file reviews')
+  .action(() => {
+    const count = clearCache();
+    console.log(chalk.green(`✓ Removed ${count} cached file review(s).`));
+  });
+
 program
   .command('config')
   .description('Configure API settings')
@@ -440,7 +739,12 @@ program
       console.log(chalk.bold('\nCurrent Configuration:\n'));
       console.log(`  API Key: ${apiKey ? chalk.green('✓ Set') : chalk.red('✗ Not set')}`);
       console.log(
-        `  API Endpoint: ${apiEndpoint ? chalk.cyan(apiEndpoint) : chalk.red('✗ Not set')}\n`
+        `  API Endpoint: ${apiEndpoint ? chalk.cyan(apiEndpoint) : chalk.red('✗ Not set')}`
+      );
+
+      const projectConfigFile = findProjectConfigFile();
+      console.log(
+        `  Project Config: ${projectConfigFile ? chalk.cyan(projectConfigFile) : chalk.gray('none')}\n`
       );
       return;
     }
@@ -1,5 +1,8 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { truncateFileData, formatErrorOutput, detectCIProvider, getPrUrl } from './index.js';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
 
 describe('CLI JSON output mode', () => {
   let stdoutSpy;
@@ -135,6 +138,23 @@ describe('CLI JSON output mode', () => {
       expect(displayFile.content).toContain('truncated');
     });
 
+    it('should truncate new_content only when present', () => {
+      const file = {
+        path: 'a.js',
+        status: 'M',
+        diff: 'd',
+        content: 'c',
+        new_content: 'n'.repeat(600),
+      };
+
+      expect(truncateFileData(file).new_content).toBe(
+        'n'.repeat(500) + '... [truncated 100 chars]'
+      );
+      expect(truncateFileData({ ...file, new_content: undefined })).not.toHaveProperty(
+        'new_content'
+      );
+    });
+
     it('should handle file exactly at 500 characters without truncation', () => {
       const exactDiff = 'a'.repeat(500);
       const exactContent = 'b'.repeat(500);
@@ -188,6 +208,17 @@ describe('CLI JSON output mode', () => {
       });
     });
 
+    it('should format review client errors', () => {
+      const error = { message: 'Request failed', status: 413, data: { error: 'Too large' } };
+
+      expect(formatErrorOutput(error)).toEqual({
+        success: false,
+        error: 'Request failed',
+        status: 413,
+        data: { error: 'Too large' },
+      });
+    });
+
     it('should include response status and data when available', () => {
       const error = {
         message: 'API Error',
@@ -546,3 +577,30 @@ describe('getPrUrl', () => {
     expect(getPrUrl()).toBe('https://github.com/owner/repo/pull/123');
   });
 });
+
+describe('numeric review flags', () => {
+  const cli = join(dirname(fileURLToPath(import.meta.url)), 'index.js');
+  const run = (...args) =>
+    spawnSync(process.execPath, [cli, 'review', ...args], {
+      encoding: 'utf8',
+      env: { ...process.env, NODE_ENV: 'production' },
+      timeout: 30000,
+    });
+
+  it('should reject invalid values instead of falling back to the config', () => {
+    const invalid = [
+      ['--jobs', 'abc', "option '--jobs <count>' argument 'abc' is invalid"],
+      ['--jobs', '0', 'Expected a whole number of 1 or more'],
+      ['--timeout', '-5', "option '--timeout <seconds>' argument '-5' is invalid"],
+      ['--max-payload-size', 'foo', "option '--max-payload-size <bytes>' argument 'foo'"],
+      ['--context-lines', '1.5', 'Expected a whole number of 0 or more'],
+    ];
+
+    for (const [flag, value, message] of invalid) {
+      const result = run(flag, value);
+
+      expect(result.status).toBe(1);
+      expect(result.stderr).toContain(message);
+    }
+  });
+});
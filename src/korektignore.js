@@ -0,0 +1,80 @@
+import ignore from 'ignore';
+import chalk from 'chalk';
+import { existsSync, readFileSync } from 'fs';
+import { join, posix } from 'path';
+
+/**
+ * Name of the ignore file, looked up at the repo root and in every nested directory
+ */
+export const IGNORE_FILE_NAME = '.korektignore';
+
+/**
+ * Source reported for files excluded by the built-in default patterns
+ */
+export const DEFAULT_IGNORES_SOURCE = 'default ignores';
+
+/**
+ * Load ignore rules from .korektignore files with full gitignore semantics
+ * (negation, directory-only patterns, anchoring, character classes, comments).
+ *
+ * Files are discovered lazily: when a path is checked, every directory from the
+ * repo root down to the file's parent is searched for a .korektignore. Like git,
+ * rules in deeper files take precedence over rules in their ancestors, and any
+ * .korektignore can re-include (`!pattern`) a file excluded by the default patterns.
+ *
+ * @param {string} repoRoot - The repository root directory
+ * @param {string[]} defaultPatterns - Built-in patterns applied before any .korektignore
+ * @returns {Function} - match(filePath) returning { pattern, source } for the rule
+ *   that excluded the file, or null if the file should be reviewed
+ */
+export function loadKorektIgnore(repoRoot, defaultPatterns = []) {
+  const defaultRules = defaultPatterns.length > 0 ? ignore().add(defaultPatterns) : null;
+
+  // Directory (relative to repo root, '' for the root) -> ignore instance or null
+  const rulesByDir = new Map();
+
+  const getRules = (dir) => {
+    if (rulesByDir.has(dir)) {
+      return rulesByDir.get(dir);
+    }
+
+    let rules = null;
+    const filePath = join(repoRoot, dir, IGNORE_FILE_NAME);
+    if (existsSync(filePath)) {
+      try {
+        rules = ignore().add(readFileSync(filePath, 'utf8'));
+      } catch (error) {
+        console.warn(chalk.yellow(`Could not read ${filePath}:`), error.message);
+      }
+    }
+    rulesByDir.set(dir, rules);
+    return rules;
+  };
+
+  return (filePath) => {
+    const segments = filePath.split('/');
+    let match = null;
+
+    if (defaultRules) {
+      const { ignored, rule } = defaultRules.test(filePath);
+      if (ignored) {
+        match = { pattern: rule.pattern, source: DEFAULT_IGNORES_SOURCE };
+      }
+    }
+
+    for (let depth = 0; depth < segments.length; depth++) {
+      const dir = segments.slice(0, depth).join('/');
+      const rules = getRules(dir);
+      if (!rules) continue;
+
+      const { ignored, unignored, rule } = rules.test(segments.slice(depth).join('/'));
+      if (ignored) {
+        match = { pattern: rule.pattern, source: posix.join(dir, IGNORE_FILE_NAME) };
+      } else if (unignored) {
+        match = null;
+      }
+    }
+
+    return match;
+  };
+}
@@ -0,0 +1,96 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { loadKorektIgnore } from './korektignore.js';
+
+describe('loadKorektIgnore', () => {
+  let repoRoot;
+
+  const writeIgnoreFile = (dir, lines) => {
+    mkdirSync(join(repoRoot, dir), { recursive: true });
+    writeFileSync(join(repoRoot, dir, '.korektignore'), lines.join('\n'));
+  };
+
+  beforeEach(() => {
+    repoRoot = mkdtempSync(join(tmpdir(), 'korekt-ignore-'));
+  });
+
+  afterEach(() => {
+    rmSync(repoRoot, { recursive: true, force: true });
+    vi.restoreAllMocks();
+  });
+
+  it('should match nothing when no .korektignore exists', () => {
+    const match = loadKorektIgnore(repoRoot);
+    expect(match('src/index.js')).toBeNull();
+  });
+
+  it('should report the rule and source file that excluded a path', () => {
+    writeIgnoreFile('', ['# Lockfiles', '*.lock']);
+    const match = loadKorektIgnore(repoRoot);
+
+    expect(match('yarn.lock')).toEqual({ pattern: '*.lock', source: '.korektignore' });
+    expect(match('packages/app/yarn.lock')).toEqual({
+      pattern: '*.lock',
+      source: '.korektignore',
+    });
+    expect(match('src/index.js')).toBeNull();
+  });
+
+  it('should support negation', () => {
+    writeIgnoreFile('', ['*.lock', '!keep.lock']);
+    const match = loadKorektIgnore(repoRoot);
+
+    expect(match('other.lock')).not.toBeNull();
+    expect(match('keep.lock')).toBeNull();
+  });
+
+  it('should support directory-only patterns', () => {
+    writeIgnoreFile('', ['build/']);
+    const match = loadKorektIgnore(repoRoot);
+
+    expect(match('build/output.js')).not.toBeNull();
+    expect(match('packages/app/build/output.js')).not.toBeNull();
+    expect(match('build')).toBeNull(); // A file named "build" is not a directory
+  });
+
+  it('should support anchored patterns', () => {
+    writeIgnoreFile('', ['/generated.js']);
+    const match = loadKorektIgnore(repoRoot);
+
+    expect(match('generated.js')).not.toBeNull();
+    expect(match('src/generated.js')).toBeNull();
+  });
+
+  it('should support character classes', () => {
+    writeIgnoreFile('', ['file[0-9].txt']);
+    const match = loadKorektIgnore(repoRoot);
+
+    expect(match('file1.txt')).not.toBeNull();
+    expect(match('fileA.txt')).toBeNull();
+  });
+
+  it('should apply default patterns and let .korektignore re-include them', () => {
+    writeIgnoreFile('', ['!vendor/keep.js']);
+    const match = loadKorektIgnore(repoRoot, ['*.lock', 'vendor/']);
+
+    expect(match('yarn.lock')).toEqual({ pattern: '*.lock', source: 'default ignores' });
+    expect(match('vendor/lib.js')).toEqual({ pattern: 'vendor/', source: 'default ignores' });
+    expect(match('vendor/keep.js')).toBeNull();
+  });
+
+  it('should apply nested .korektignore files relative to their directory', () => {
+    writeIgnoreFile('', ['*.snap']);
+    writeIgnoreFile('packages/app', ['/fixtures/', '!important.snap']);
+    const match = loadKorektIgnore(repoRoot);
+
+    expect(match('packages/app/fixtures/data.json')).toEqual({
+      pattern: '/fixtures/',
+      source: 'packages/app/.korektignore',
+    });
+    expect(match('fixtures/data.json')).toBeNull();
+    expect(match('packages/app/important.snap')).toBeNull(); // Deeper file re-includes it
+    expect(match('packages/lib/important.snap')).not.toBeNull();
+  });
+});
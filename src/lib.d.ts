@@ -0,0 +1,264 @@
+/**
+ * Type declarations for the korekt-cli library entry point (src/lib.js).
+ */
+
+export type ReviewMode = 'branch' | 'pr' | 'staged' | 'unstaged';
+
+export const REVIEW_MODES: ReviewMode[];
+
+/** Git status letter of a changed file */
+export type FileStatus = 'M' | 'A' | 'D' | 'R' | 'C';
+
+export interface ChangedFile {
+  path: string;
+  status: FileStatus;
+  diff: string;
+  /** The base version of the file, trimmed around the changes */
+  content: string;
+  /** The changed version of the file, with the newContent option */
+  new_content?: string;
+  /** Previous path of a renamed or copied file */
+  old_path?: string;
+}
+
+export interface OmittedFile {
+  path: string;
+  status: FileStatus;
+  /** 'file' when left out entirely, 'content' when only the diff was kept */
+  omitted: 'file' | 'content';
+  /** Over the maxFileSize setting, or trimmed to fit the maxPayloadSize budget */
+  reason: 'max_file_size' | 'payload_budget';
+  additions: number;
+  deletions: number;
+}
+
+export interface RedactedSecret {
+  path: string;
+  type: string;
+  count: number;
+}
+
+export interface Contributor {
+  email: string;
+  name: string;
+  commits: number;
+}
+
+export interface ReviewPayload {
+  /** Normalized remote URL, or null for repositories without a remote */
+  repo_url: string | null;
+  /** Stable id of a repository without a remote */
+  local_repo_id?: string;
+  source_branch: string;
+  commit_messages: string[];
+  changed_files: ChangedFile[];
+  changed_lines: number;
+  is_ci: boolean;
+  pr_url: string | null;
+  author_email?: string | null;
+  author_name?: string | null;
+  contributors?: Contributor[];
+  /** HEAD of the reviewed branch, with the sinceLast option */
+  head_sha?: string;
+  /** Commit the last review ended at, or null when the whole branch was collected */
+  reviewed_since?: string | null;
+  omitted_files?: OmittedFile[];
+  redacted_secrets?: RedactedSecret[];
+}
+
+export interface CollectChangesOptions {
+  mode?: ReviewMode;
+  /** Branch to compare against (branch and pr modes); detected when left out */
+  targetBranch?: string | null;
+  /** Pull request number (pr mode) */
+  prNumber?: string | number;
+  /** Glob patterns of files to leave out */
+  ignore?: string[] | null;
+  contextLines?: number;
+  maxFileSize?: number;
+  maxContentLines?: number;
+  maxPayloadSize?: number;
+  defaultIgnores?: boolean;
+  newContent?: boolean;
+  remote?: string;
+  jobs?: number;
+  /** Leave the payload untrimmed, to be split into batches by review */
+  batch?: boolean;
+  /** Diff against the working tree instead of HEAD (branch mode) */
+  workingTree?: boolean;
+  /** Include untracked files (unstaged mode, or branch mode with workingTree) */
+  includeUntracked?: boolean;
+  /** Review an explicit commit range, "A..B" or "A...B" (branch mode) */
+  range?: string;
+  /** Review a single commit (branch mode) */
+  commit?: string;
+  /** Only collect what changed since the branch was last reviewed (branch mode) */
+  sinceLast?: boolean;
+  prUrl?: string;
+  sourceBranch?: string;
+}
+
+export type DiffLocation = 'changed' | 'context' | 'outside_diff';
+
+export const DIFF_LOCATIONS: {
+  CHANGED: 'changed';
+  CONTEXT: 'context';
+  OUTSIDE: 'outside_diff';
+};
+
+export type Severity = 'critical' | 'high' | 'medium' | 'low';
+
+export interface ReviewIssue {
+  file_path: string;
+  line_number: number;
+  severity: Severity;
+  category?: string;
+  message: string;
+  suggested_fix?: string;
+  /** Where the line sits in the reviewed diff */
+  diff_location?: DiffLocation;
+  [key: string]: unknown;
+}
+
+export interface ReviewPraise {
+  file_path: string;
+  line_number: number;
+  category?: string;
+  message: string;
+  [key: string]: unknown;
+}
+
+export interface ReviewSummary {
+  total_issues: number;
+  total_praises: number;
+  critical?: number;
+  high?: number;
+  medium?: number;
+  low?: number;
+  [key: string]: unknown;
+}
+
+export interface ReviewResults {
+  success?: boolean;
+  data: {
+    review: {
+      issues: ReviewIssue[];
+      praises: ReviewPraise[];
+    };
+    summary: ReviewSummary;
+    [key: string]: unknown;
+  };
+  /** HEAD commit that was reviewed, for payloads collected with sinceLast */
+  reviewed_sha?: string;
+  [key: string]: unknown;
+}
+
+export type ReviewProgress =
+  | { type: 'retry'; attempt: number; attempts: number; delay: number; error: Error }
+  | { type: 'batch'; completed: number; total: number };
+
+export interface PlanReviewOptions {
+  /** Reuse cached reviews of unchanged files (default: true) */
+  cache?: boolean;
+  /** Count cache hits and misses (default: true) */
+  record?: boolean;
+  /** Split the payload into batches (default: false) */
+  batch?: boolean;
+  /** Size budget of each batch in bytes */
+  maxPayloadSize?: number;
+}
+
+export interface ReviewPlan {
+  /** The payload without the files that have a cached review */
+  payload: ReviewPayload;
+  cached: Array<{ path: string; [key: string]: unknown }>;
+  /** Payloads to send, none when every file was cached */
+  batches: ReviewPayload[];
+}
+
+export interface ReviewOptions extends PlanReviewOptions {
+  /** Refuse payloads that had possible secrets redacted (default: from fail_on_secrets) */
+  failOnSecrets?: boolean;
+  /** Default: from the CLI config or KOREKT_API_KEY */
+  apiKey?: string;
+  /** Default: from the CLI config or KOREKT_API_ENDPOINT */
+  apiEndpoint?: string;
+  /** Seconds to wait for each request, 0 for no limit (default: 600) */
+  timeout?: number;
+  /** Retries on rate limits, server and network errors (default: 3) */
+  retries?: number;
+  /** Post the results to the linked ticket (single requests only) */
+  postToTicket?: boolean;
+  /** Result of planReview, when it was already computed */
+  plan?: ReviewPlan;
+  onProgress?: (event: ReviewProgress) => void;
+}
+
+export interface FormatResultsOptions {
+  format?: 'text' | 'json';
+}
+
+export interface ErrorOutput {
+  success: false;
+  error: string;
+  status?: number;
+  data?: unknown;
+}
+
+/** No changes could be collected; the reason was written to stderr */
+export class CollectChangesError extends Error {
+  mode: ReviewMode;
+}
+
+/** Possible secrets were redacted from the payload and failOnSecrets is on; nothing was sent */
+export class SecretsFoundError extends Error {
+  redactedSecrets: RedactedSecret[];
+}
+
+export class ReviewApiError extends Error {
+  /** HTTP status, when the API answered */
+  status: number | null;
+  /** Response body, when the API answered */
+  data: unknown;
+  /** Network error code, or NO_API_KEY */
+  code: string | null;
+  /** Attempts made, including retries */
+  attempts: number;
+}
+
+/** The API key was rejected (401 or 403) or is missing */
+export class ReviewAuthError extends ReviewApiError {}
+
+/** The payload is larger than the API accepts (413) */
+export class ReviewPayloadTooLargeError extends ReviewApiError {}
+
+/** The API did not respond within the timeout */
+export class ReviewTimeoutError extends ReviewApiError {}
+
+/**
+ * Collect the changes to review from the repository in the current directory.
+ * @throws {CollectChangesError} When the changes could not be collected
+ */
+export function collectChanges(options?: CollectChangesOptions): Promise<ReviewPayload>;
+
+/**
+ * Send a payload for review.
+ * A sinceLast payload with nothing new since the last review is not sent: the results are empty.
+ * @throws {SecretsFoundError} When secrets were redacted and failOnSecrets is on
+ * @throws {ReviewApiError} When the API call fails, or no API key is configured
+ */
+export function review(payload: ReviewPayload, options?: ReviewOptions): Promise<ReviewResults>;
+
+/** Format review results the way the CLI prints them */
+export function formatResults(results: ReviewResults, options?: FormatResultsOptions): string;
+
+/** Work out what review will send, without sending anything */
+export function planReview(payload: ReviewPayload, options?: PlanReviewOptions): ReviewPlan;
+
+export function formatErrorOutput(error: Error): ErrorOutput;
+
+export function detectCIProvider(): 'github' | 'azure' | 'bitbucket' | null;
+
+export function getPrUrl(): string | null;
+
+export function truncateFileData(file: ChangedFile, maxLength?: number): ChangedFile;
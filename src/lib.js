@@ -0,0 +1,146 @@
+import { runLocalReview, runPullRequestReview, runUncommittedReview } from './git-logic.js';
+import { submitReview } from './review-client.js';
+import { isAlreadyReviewed, recordReviewedSha } from './review-state.js';
+import { buildCachedResults } from './cache.js';
+import { getConfig } from './config.js';
+import { renderReviewOutput } from './formatter.js';
+
+/**
+ * Library entry point (the package's main), for embedding korekt in other tools.
+ * Unlike the CLI in index.js it parses no arguments, asks no questions and never exits
+ * the process: failures are thrown. Progress and warnings are still written to stderr.
+ */
+
+export {
+  planReview,
+  ReviewApiError,
+  ReviewAuthError,
+  ReviewPayloadTooLargeError,
+  ReviewTimeoutError,
+} from './review-client.js';
+export { DIFF_LOCATIONS } from './diff-parser.js';
+export { detectCIProvider, truncateFileData, formatErrorOutput, getPrUrl } from './utils.js';
+
+/**
+ * What collectChanges can review
+ */
+export const REVIEW_MODES = ['branch', 'pr', 'staged', 'unstaged'];
+
+/**
+ * No changes could be collected; the reason was written to stderr
+ */
+export class CollectChangesError extends Error {
+  constructor(message, { mode } = {}) {
+    super(message);
+    this.name = 'CollectChangesError';
+    this.mode = mode;
+  }
+}
+
+/**
+ * Possible secrets were redacted from a payload and fail_on_secrets is on, so it was not sent
+ */
+export class SecretsFoundError extends Error {
+  constructor(message, { redactedSecrets } = {}) {
+    super(message);
+    this.name = 'SecretsFoundError';
+    this.redactedSecrets = redactedSecrets;
+  }
+}
+
+/**
+ * Collect the changes to review from the repository in the current directory
+ * @param {Object} [options] - Also accepts the options of runLocalReview and runUncommittedReview
+ *   (contextLines, maxFileSize, range, commit, sinceLast, workingTree, includeUntracked, ...)
+ * @param {string} [options.mode='branch'] - One of REVIEW_MODES
+ * @param {string|null} [options.targetBranch] - Branch to compare against (branch and pr modes)
+ * @param {string|number} [options.prNumber] - Pull request to review (pr mode)
+ * @param {string[]|null} [options.ignore] - Glob patterns of files to leave out
+ * @returns {Promise<Object>} - The payload to pass to review
+ * @throws {CollectChangesError} When the changes could not be collected
+ */
+export async function collectChanges(options = {}) {
+  const { mode = 'branch', targetBranch = null, prNumber, ignore = null, ...rest } = options;
+
+  let payload;
+  switch (mode) {
+    case 'branch':
+      payload = await runLocalReview(targetBranch, ignore, rest);
+      break;
+    case 'pr':
+      if (prNumber === undefined || prNumber === null) {
+        throw new TypeError('prNumber is required in pr mode');
+      }
+      payload = await runPullRequestReview(prNumber, targetBranch, ignore, rest);
+      break;
+    case 'staged':
+    case 'unstaged':
+      payload = await runUncommittedReview(mode, ignore, rest);
+      break;
+    default:
+      throw new TypeError(`Unknown mode '${mode}', expected one of: ${REVIEW_MODES.join(', ')}`);
+  }
+
+  if (!payload) {
+    throw new CollectChangesError(`Could not collect the changes to review (${mode} mode)`, {
+      mode,
+    });
+  }
+  return payload;
+}
+
+/**
+ * Send a payload from collectChanges for review.
+ * timeout, retries, maxPayloadSize and failOnSecrets are resolved like the CLI flags: from the
+ * options, then the project config, the global config and the environment.
+ * A sinceLast payload with nothing new since the last review is not sent: the results are empty.
+ * @param {Object} payload - Payload from collectChanges
+ * @param {Object} [options] - Options of submitReview and planReview
+ * @param {boolean} [options.failOnSecrets] - Refuse payloads that had possible secrets redacted
+ * @returns {Promise<Object>} - The review results
+ * @throws {SecretsFoundError} When secrets were redacted and failOnSecrets is on
+ * @throws {ReviewApiError} When the API call fails, or no API key is configured
+ */
+export async function review(payload, options = {}) {
+  if (isAlreadyReviewed(payload)) {
+    return { ...buildCachedResults([]), reviewed_sha: payload.head_sha };
+  }
+
+  const { timeout, retries, maxPayloadSize, failOnSecrets } = getConfig({
+    timeout: options.timeout,
+    retries: options.retries,
+    maxPayloadSize: options.maxPayloadSize,
+    failOnSecrets: options.failOnSecrets,
+  });
+
+  if (failOnSecrets && payload.redacted_secrets?.length > 0) {
+    throw new SecretsFoundError('Possible secrets found in the changes (fail_on_secrets)', {
+      redactedSecrets: payload.redacted_secrets,
+    });
+  }
+
+  const results = await submitReview(payload, { ...options, timeout, retries, maxPayloadSize });
+
+  // Remember where the review ended, for the next sinceLast review
+  if (results.reviewed_sha) {
+    recordReviewedSha(payload);
+  }
+  return results;
+}
+
+/**
+ * Format review results the way the CLI prints them
+ * @param {Object} results - Results from review
+ * @param {Object} [options]
+ * @param {string} [options.format='text'] - 'text' for the colored report, 'json' for the raw results
+ * @returns {string}
+ */
+export function formatResults(results, { format = 'text' } = {}) {
+  if (format === 'json') {
+    return JSON.stringify(results, null, 2);
+  }
+  if (format !== 'text') {
+    throw new TypeError(`Unknown format '${format}', expected 'text' or 'json'`);
+  }
+  return renderReviewOutput(results);
+}
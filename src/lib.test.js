@@ -0,0 +1,190 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { runLocalReview, runPullRequestReview, runUncommittedReview } from './git-logic.js';
+import { submitReview } from './review-client.js';
+import { recordReviewedSha } from './review-state.js';
+import {
+  collectChanges,
+  review,
+  formatResults,
+  CollectChangesError,
+  SecretsFoundError,
+} from './lib.js';
+
+vi.mock('./git-logic.js', () => ({
+  runLocalReview: vi.fn(),
+  runPullRequestReview: vi.fn(),
+  runUncommittedReview: vi.fn(),
+}));
+
+vi.mock('./review-client.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  submitReview: vi.fn(),
+}));
+
+vi.mock('./review-state.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  recordReviewedSha: vi.fn(),
+}));
+
+vi.mock('./config.js', async (importOriginal) => {
+  const actual = await importOriginal();
+  return {
+    ...actual,
+    getConfig: vi.fn((cliOptions) => ({
+      timeout: cliOptions.timeout ?? 120,
+      retries: cliOptions.retries ?? 2,
+      maxPayloadSize: cliOptions.maxPayloadSize ?? actual.DEFAULT_MAX_PAYLOAD_SIZE,
+      failOnSecrets: cliOptions.failOnSecrets ?? false,
+    })),
+  };
+});
+
+const payload = { source_branch: 'feature', changed_files: [], commit_messages: [] };
+
+const results = {
+  success: true,
+  data: {
+    review: {
+      issues: [
+        {
+          file_path: '/repo/a.js',
+          line_number: 3,
+          severity: 'high',
+          category: 'logic_error',
+          message: 'Off by one',
+        },
+      ],
+      praises: [],
+    },
+    summary: { total_issues: 1, total_praises: 0, high: 1 },
+  },
+};
+
+describe('library entry point', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('collectChanges', () => {
+    it('should collect branch changes by default', async () => {
+      vi.mocked(runLocalReview).mockResolvedValue(payload);
+
+      const collected = await collectChanges({
+        targetBranch: 'main',
+        ignore: ['*.lock'],
+        sinceLast: true,
+      });
+
+      expect(collected).toBe(payload);
+      expect(runLocalReview).toHaveBeenCalledWith('main', ['*.lock'], { sinceLast: true });
+    });
+
+    it('should collect pull requests and uncommitted changes by mode', async () => {
+      vi.mocked(runPullRequestReview).mockResolvedValue(payload);
+      vi.mocked(runUncommittedReview).mockResolvedValue(payload);
+
+      await collectChanges({ mode: 'pr', prNumber: 42 });
+      await collectChanges({ mode: 'staged', contextLines: 5 });
+
+      expect(runPullRequestReview).toHaveBeenCalledWith(42, null, null, {});
+      expect(runUncommittedReview).toHaveBeenCalledWith('staged', null, { contextLines: 5 });
+    });
+
+    it('should throw instead of returning null', async () => {
+      vi.mocked(runUncommittedReview).mockResolvedValue(null);
+
+      await expect(collectChanges({ mode: 'unstaged' })).rejects.toMatchObject({
+        name: 'CollectChangesError',
+        mode: 'unstaged',
+      });
+      await expect(collectChanges({ mode: 'unstaged' })).rejects.toBeInstanceOf(
+        CollectChangesError
+      );
+    });
+
+    it('should reject unknown modes and pull requests without a number', async () => {
+      await expect(collectChanges({ mode: 'everything' })).rejects.toThrow(
+        "Unknown mode 'everything'"
+      );
+      await expect(collectChanges({ mode: 'pr' })).rejects.toThrow('prNumber is required');
+      expect(runPullRequestReview).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('review', () => {
+    it('should submit with the settings resolved like the CLI flags', async () => {
+      vi.mocked(submitReview).mockResolvedValue(results);
+
+      const reviewed = await review(payload, { apiKey: 'key', retries: 0 });
+
+      expect(reviewed).toBe(results);
+      expect(submitReview).toHaveBeenCalledWith(
+        payload,
+        expect.objectContaining({ apiKey: 'key', timeout: 120, retries: 0 })
+      );
+      expect(recordReviewedSha).not.toHaveBeenCalled();
+    });
+
+    it('should record the reviewed commit of sinceLast payloads', async () => {
+      vi.mocked(submitReview).mockResolvedValue({ ...results, reviewed_sha: 'abc1234' });
+
+      await review(payload);
+
+      expect(recordReviewedSha).toHaveBeenCalledWith(payload);
+    });
+
+    it('should refuse payloads with redacted secrets when failOnSecrets is on', async () => {
+      const redactedSecrets = [{ path: 'config.js', type: 'aws-access-key', count: 1 }];
+      const withSecrets = { ...payload, redacted_secrets: redactedSecrets };
+
+      await expect(review(withSecrets, { failOnSecrets: true })).rejects.toMatchObject({
+        name: 'SecretsFoundError',
+        redactedSecrets,
+      });
+      await expect(review(withSecrets, { failOnSecrets: true })).rejects.toBeInstanceOf(
+        SecretsFoundError
+      );
+      expect(submitReview).not.toHaveBeenCalled();
+    });
+
+    it('should send payloads with redacted secrets when failOnSecrets is off', async () => {
+      vi.mocked(submitReview).mockResolvedValue(results);
+
+      await review({
+        ...payload,
+        redacted_secrets: [{ path: 'a.js', type: 'github-token', count: 1 }],
+      });
+
+      expect(submitReview).toHaveBeenCalled();
+    });
+
+    it('should not send a sinceLast payload with nothing new', async () => {
+      const sha = 'f'.repeat(40);
+
+      const reviewed = await review({ ...payload, head_sha: sha, reviewed_since: sha });
+
+      expect(submitReview).not.toHaveBeenCalled();
+      expect(reviewed.data.review.issues).toEqual([]);
+      expect(reviewed.reviewed_sha).toBe(sha);
+    });
+  });
+
+  describe('formatResults', () => {
+    it('should return the text report instead of printing it', () => {
+      const log = vi.spyOn(console, 'log');
+
+      const text = formatResults(results);
+
+      expect(text).toContain('Issues Found (1)');
+      expect(text).toContain('/repo/a.js:3');
+      expect(text).toContain('Off by one');
+      expect(log).not.toHaveBeenCalled();
+      log.mockRestore();
+    });
+
+    it('should return the raw results as JSON', () => {
+      expect(JSON.parse(formatResults(results, { format: 'json' }))).toEqual(results);
+      expect(() => formatResults(results, { format: 'xml' })).toThrow("Unknown format 'xml'");
+    });
+  });
+});
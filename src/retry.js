@@ -0,0 +1,125 @@
+import { setTimeout as sleep } from 'timers/promises';
+
+/**
+ * Retries for the review API call: 429, 5xx and network errors are retried
+ * with exponential backoff and jitter, honoring the server's Retry-After.
+ */
+
+/**
+ * Delay before the first retry; each further retry doubles it
+ */
+export const BASE_RETRY_DELAY = 1000;
+
+/**
+ * Longest backoff between two attempts
+ */
+export const MAX_RETRY_DELAY = 30000;
+
+/**
+ * Longest Retry-After that is honored; longer waits are capped to this
+ */
+export const MAX_RETRY_AFTER = 5 * 60 * 1000;
+
+// Connection failures worth another attempt; a request that timed out is not retried,
+// since the server may still be working on it
+const RETRYABLE_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'ETIMEDOUT',
+  'EPIPE',
+  'ENETUNREACH',
+  'EHOSTUNREACH',
+]);
+
+/**
+ * Whether a failed request should be attempted again
+ * @param {Error} error - Axios error
+ * @returns {boolean}
+ */
+export function isRetryableError(error) {
+  const status = error?.response?.status;
+  if (status) {
+    return status === 429 || status >= 500;
+  }
+  return RETRYABLE_CODES.has(error?.code);
+}
+
+/**
+ * Parse a Retry-After header, given in seconds or as an HTTP date
+ * @param {string|number|undefined} value - Header value
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {number|null} - Delay in milliseconds, or null if missing or invalid
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return seconds >= 0 ? seconds * 1000 : null;
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Delay before the given retry
+ * Retry-After wins when the server sends it; otherwise the exponential backoff is
+ * randomized between half and all of its value, so parallel clients spread out.
+ * @param {number} retry - Retry number, starting at 1
+ * @param {Error} error - The error that caused the retry
+ * @param {Function} [random] - Source of randomness in [0, 1)
+ * @returns {number} - Delay in milliseconds
+ */
+export function getRetryDelay(retry, error, random = Math.random) {
+  const retryAfter = parseRetryAfter(error?.response?.headers?.['retry-after']);
+  if (retryAfter !== null) {
+    return Math.min(retryAfter, MAX_RETRY_AFTER);
+  }
+
+  const backoff = Math.min(BASE_RETRY_DELAY * 2 ** (retry - 1), MAX_RETRY_DELAY);
+  return Math.round(backoff * (0.5 + random() * 0.5));
+}
+
+/**
+ * Describe why a request is retried, for progress output
+ * @param {Error} error - The error that caused the retry
+ * @returns {string} - e.g. "HTTP 502" or "ECONNRESET"
+ */
+export function describeRetryReason(error) {
+  if (error?.response?.status) {
+    return `HTTP ${error.response.status}`;
+  }
+  return error?.code || error?.message || 'network error';
+}
+
+/**
+ * Run a request, retrying it on 429, 5xx and network errors
+ * @param {Function} request - Async function performing one attempt
+ * @param {Object} [options]
+ * @param {number} [options.retries=3] - Retries after the first attempt; 0 disables retrying
+ * @param {Function} [options.onRetry] - Called before waiting, with {attempt, attempts, delay, error},
+ *   where attempt is the number of the upcoming attempt
+ * @param {Function} [options.wait] - Waits the given milliseconds (replaceable in tests)
+ * @returns {Promise<*>} - The result of the first successful attempt
+ * @throws The last error when it is not retryable or no retries are left
+ */
+export async function withRetry(request, { retries = 3, onRetry, wait = sleep } = {}) {
+  for (let retry = 0; ; retry++) {
+    try {
+      return await request();
+    } catch (error) {
+      if (retry >= retries || !isRetryableError(error)) {
+        throw error;
+      }
+
+      const delay = getRetryDelay(retry + 1, error);
+      onRetry?.({ attempt: retry + 2, attempts: retries + 1, delay, error });
+      await wait(delay);
+    }
+  }
+}
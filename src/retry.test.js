@@ -0,0 +1,118 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  isRetryableError,
+  parseRetryAfter,
+  getRetryDelay,
+  describeRetryReason,
+  withRetry,
+  MAX_RETRY_DELAY,
+  MAX_RETRY_AFTER,
+} from './retry.js';
+
+const httpError = (status, headers = {}) =>
+  Object.assign(new Error(`Request failed with status code ${status}`), {
+    response: { status, headers, data: {} },
+  });
+
+const networkError = (code) => Object.assign(new Error(code), { code });
+
+describe('isRetryableError', () => {
+  it('should retry rate limits, server errors and dropped connections', () => {
+    expect(isRetryableError(httpError(429))).toBe(true);
+    expect(isRetryableError(httpError(502))).toBe(true);
+    expect(isRetryableError(httpError(503))).toBe(true);
+    expect(isRetryableError(networkError('ECONNRESET'))).toBe(true);
+  });
+
+  it('should not retry client errors or timed out requests', () => {
+    expect(isRetryableError(httpError(400))).toBe(false);
+    expect(isRetryableError(httpError(401))).toBe(false);
+    expect(isRetryableError(httpError(413))).toBe(false);
+    expect(isRetryableError(networkError('ECONNABORTED'))).toBe(false);
+    expect(isRetryableError(new Error('boom'))).toBe(false);
+  });
+});
+
+describe('parseRetryAfter', () => {
+  it('should parse seconds and HTTP dates', () => {
+    const now = Date.parse('2026-01-01T00:00:00Z');
+
+    expect(parseRetryAfter('5')).toBe(5000);
+    expect(parseRetryAfter('Thu, 01 Jan 2026 00:00:30 GMT', now)).toBe(30000);
+    expect(parseRetryAfter('Wed, 31 Dec 2025 23:00:00 GMT', now)).toBe(0);
+  });
+
+  it('should ignore missing or invalid values', () => {
+    expect(parseRetryAfter(undefined)).toBeNull();
+    expect(parseRetryAfter('soon')).toBeNull();
+    expect(parseRetryAfter('-1')).toBeNull();
+  });
+});
+
+describe('getRetryDelay', () => {
+  it('should back off exponentially with jitter, up to the maximum', () => {
+    expect(getRetryDelay(1, httpError(502), () => 0)).toBe(500);
+    expect(getRetryDelay(1, httpError(502), () => 0.999)).toBeLessThanOrEqual(1000);
+    expect(getRetryDelay(3, httpError(502), () => 0)).toBe(2000);
+    expect(getRetryDelay(20, httpError(502), () => 0.999)).toBeLessThanOrEqual(MAX_RETRY_DELAY);
+  });
+
+  it('should honor Retry-After, capped to the longest accepted wait', () => {
+    expect(getRetryDelay(1, httpError(429, { 'retry-after': '7' }))).toBe(7000);
+    expect(getRetryDelay(1, httpError(429, { 'retry-after': '86400' }))).toBe(MAX_RETRY_AFTER);
+  });
+});
+
+describe('describeRetryReason', () => {
+  it('should name the status code or network error', () => {
+    expect(describeRetryReason(httpError(503))).toBe('HTTP 503');
+    expect(describeRetryReason(networkError('ECONNRESET'))).toBe('ECONNRESET');
+  });
+});
+
+describe('withRetry', () => {
+  it('should retry until the request succeeds, reporting each attempt', async () => {
+    const request = vi
+      .fn()
+      .mockRejectedValueOnce(httpError(502))
+      .mockRejectedValueOnce(networkError('ECONNRESET'))
+      .mockResolvedValue({ data: 'ok' });
+    const onRetry = vi.fn();
+    const wait = vi.fn().mockResolvedValue();
+
+    const response = await withRetry(request, { retries: 3, onRetry, wait });
+
+    expect(response).toEqual({ data: 'ok' });
+    expect(request).toHaveBeenCalledTimes(3);
+    expect(wait).toHaveBeenCalledTimes(2);
+    expect(onRetry.mock.calls.map(([retry]) => [retry.attempt, retry.attempts])).toEqual([
+      [2, 4],
+      [3, 4],
+    ]);
+  });
+
+  it('should give up after the last retry with the last error', async () => {
+    const request = vi.fn().mockRejectedValue(httpError(503));
+
+    await expect(
+      withRetry(request, { retries: 2, wait: vi.fn().mockResolvedValue() })
+    ).rejects.toMatchObject({ response: { status: 503 } });
+    expect(request).toHaveBeenCalledTimes(3);
+  });
+
+  it('should fail at once on errors that are not retryable', async () => {
+    const request = vi.fn().mockRejectedValue(httpError(401));
+    const wait = vi.fn();
+
+    await expect(withRetry(request, { retries: 3, wait })).rejects.toThrow('401');
+    expect(request).toHaveBeenCalledTimes(1);
+    expect(wait).not.toHaveBeenCalled();
+  });
+
+  it('should not retry when retries is 0', async () => {
+    const request = vi.fn().mockRejectedValue(httpError(502));
+
+    await expect(withRetry(request, { retries: 0 })).rejects.toThrow('502');
+    expect(request).toHaveBeenCalledTimes(1);
+  });
+});
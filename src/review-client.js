@@ -0,0 +1,239 @@
+import axios from 'axios';
+import {
+  getApiKey,
+  getApiEndpoint,
+  DEFAULT_MAX_PAYLOAD_SIZE,
+  DEFAULT_RETRIES,
+  DEFAULT_TIMEOUT,
+} from './config.js';
+import { calculateChangedLines, mapWithConcurrency } from './git-logic.js';
+import { BATCH_CONCURRENCY, mergeReviewResults, partitionPayload } from './batch.js';
+import { cacheRepository, lookupCachedReviews, storeReviews, buildCachedResults } from './cache.js';
+import { annotateIssueLocations } from './diff-parser.js';
+import { withRetry } from './retry.js';
+
+/**
+ * A review request that failed, after any retries
+ * status and data are set when the API answered; code is set for network errors.
+ */
+export class ReviewApiError extends Error {
+  constructor(message, { status = null, data = null, code = null, attempts = 1, cause } = {}) {
+    super(message, { cause });
+    this.name = 'ReviewApiError';
+    this.status = status;
+    this.data = data;
+    this.code = code;
+    this.attempts = attempts;
+  }
+}
+
+/**
+ * The API rejected the API key (401 or 403), or no key is configured
+ */
+export class ReviewAuthError extends ReviewApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'ReviewAuthError';
+  }
+}
+
+/**
+ * The payload is larger than the API accepts (413)
+ */
+export class ReviewPayloadTooLargeError extends ReviewApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'ReviewPayloadTooLargeError';
+  }
+}
+
+/**
+ * The API did not respond within the timeout
+ */
+export class ReviewTimeoutError extends ReviewApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'ReviewTimeoutError';
+  }
+}
+
+/**
+ * Wrap an axios error in the matching ReviewApiError
+ * @param {Error} error - Error thrown by the request
+ * @param {number} attempts - Attempts made, including retries
+ * @returns {ReviewApiError}
+ */
+function toReviewError(error, attempts) {
+  if (error instanceof ReviewApiError) {
+    return error;
+  }
+
+  const details = {
+    status: error.response?.status ?? null,
+    data: error.response?.data ?? null,
+    code: error.code ?? null,
+    attempts,
+    cause: error,
+  };
+  if (details.status === 401 || details.status === 403) {
+    return new ReviewAuthError(error.message, details);
+  }
+  if (details.status === 413) {
+    return new ReviewPayloadTooLargeError(error.message, details);
+  }
+  if (!details.status && error.code === 'ECONNABORTED') {
+    return new ReviewTimeoutError(error.message, details);
+  }
+  return new ReviewApiError(error.message, details);
+}
+
+/**
+ * Merge fresh API responses with cached reviews into a single result
+ * @param {Array<Object>} responses - Response bodies from the API
+ * @param {Array} cached - Cached reviews from planReview
+ * @returns {Object} - Result in the shape of a single API response
+ */
+function combineResults(responses, cached) {
+  const results = cached.length > 0 ? [...responses, buildCachedResults(cached)] : responses;
+  return results.length > 1 ? mergeReviewResults(results) : results[0];
+}
+
+/**
+ * Work out what a review will send, without sending anything:
+ * files with a cached review are taken out, and the rest is split into batches if asked.
+ * @param {Object} payload - Payload from runLocalReview, runPullRequestReview or runUncommittedReview
+ * @param {Object} [options]
+ * @param {boolean} [options.cache=true] - Reuse cached reviews of unchanged files
+ * @param {boolean} [options.record=true] - Count cache hits and misses (off for dry runs)
+ * @param {Conf} [options.reviewCache] - Cache store to use instead of the default one
+ * @param {boolean} [options.batch=false] - Split the payload with partitionPayload
+ * @param {number} [options.maxPayloadSize] - Size budget of each batch in bytes
+ * @returns {{payload: Object, cached: Array, batches: Array<Object>}} - The payload with the files
+ *   that still need a review, the cached reviews, and the payloads to send (none if all were cached)
+ */
+export function planReview(payload, options = {}) {
+  const {
+    cache = true,
+    record = true,
+    reviewCache,
+    batch = false,
+    maxPayloadSize = DEFAULT_MAX_PAYLOAD_SIZE,
+  } = options;
+
+  let cached = [];
+  let reviewPayload = payload;
+  if (cache) {
+    const lookup = lookupCachedReviews(payload.changed_files, reviewCache, {
+      record,
+      repository: cacheRepository(payload),
+    });
+    cached = lookup.cached;
+    if (cached.length > 0) {
+      reviewPayload = {
+        ...payload,
+        changed_files: lookup.uncached,
+        changed_lines: calculateChangedLines(lookup.uncached),
+      };
+    }
+  }
+
+  let batches = [reviewPayload];
+  if (cached.length > 0 && reviewPayload.changed_files.length === 0) {
+    batches = [];
+  } else if (batch) {
+    batches = partitionPayload(reviewPayload, maxPayloadSize);
+  }
+
+  return { payload: reviewPayload, cached, batches };
+}
+
+/**
+ * Submit a payload for review and return the merged results.
+ * Rate limits, server and network errors are retried (see withRetry); other failures
+ * are thrown as ReviewApiError or one of its subclasses.
+ * @param {Object} payload - Payload from runLocalReview, runPullRequestReview or runUncommittedReview
+ * @param {Object} [options] - Also accepts the options of planReview
+ * @param {string} [options.apiKey] - API key (default: from the CLI config or KOREKT_API_KEY)
+ * @param {string} [options.apiEndpoint] - API URL (default: from the CLI config or KOREKT_API_ENDPOINT)
+ * @param {number} [options.timeout=600] - Seconds to wait for each request, 0 for no limit
+ * @param {number} [options.retries=3] - Retries after the first attempt of each request
+ * @param {boolean} [options.postToTicket=false] - Post the results to the linked ticket
+ *   (not supported for batched reviews)
+ * @param {Object} [options.plan] - Result of planReview, when it was already computed
+ * @param {Function} [options.onProgress] - Called with {type: 'retry', attempt, attempts, delay, error}
+ *   before a request is retried, and with {type: 'batch', completed, total} after each request
+ * @returns {Promise<Object>} - Results in the shape of a single API response, with each issue's
+ *   diff_location, and reviewed_sha when the payload has a head_sha
+ * @throws {ReviewApiError} When a request fails
+ */
+export async function submitReview(payload, options = {}) {
+  const {
+    apiKey = getApiKey(),
+    apiEndpoint = getApiEndpoint(),
+    timeout = DEFAULT_TIMEOUT,
+    retries = DEFAULT_RETRIES,
+    cache = true,
+    reviewCache,
+    postToTicket = false,
+    onProgress,
+  } = options;
+
+  if (!apiKey) {
+    throw new ReviewAuthError('API key not found', { code: 'NO_API_KEY' });
+  }
+
+  const { cached, batches } = options.plan || planReview(payload, options);
+  let completed = 0;
+
+  const responses = await mapWithConcurrency(batches, BATCH_CONCURRENCY, async (batch) => {
+    const body = postToTicket && batches.length === 1 ? { ...batch, post_to_ticket: true } : batch;
+    let attempts = 1;
+
+    let response;
+    try {
+      response = await withRetry(
+        () =>
+          axios.post(apiEndpoint, body, {
+            headers: {
+              Authorization: `Bearer ${apiKey}`,
+              'Content-Type': 'application/json',
+            },
+            timeout: timeout * 1000,
+          }),
+        {
+          retries,
+          onRetry: (retry) => {
+            attempts = retry.attempt;
+            onProgress?.({ type: 'retry', ...retry });
+          },
+        }
+      );
+    } catch (error) {
+      throw toReviewError(error, attempts);
+    }
+
+    if (cache) {
+      // A file trimmed to the budget would be stored under a key that the complete file,
+      // as it is collected next time, never looks up
+      const trimmed = new Set((batch.omitted_files || []).map((file) => file.path));
+      storeReviews(
+        batch.changed_files.filter((file) => !trimmed.has(file.path)),
+        response.data,
+        reviewCache,
+        { repository: cacheRepository(batch) }
+      );
+    }
+    completed++;
+    onProgress?.({ type: 'batch', completed, total: batches.length });
+    return response.data;
+  });
+
+  // Tag each issue with where its line falls in the diff it was reviewed on
+  const results = annotateIssueLocations(combineResults(responses, cached), payload.changed_files);
+
+  // With --since-last, the CI scripts mark the reviewed commit in the summary comment
+  if (payload.head_sha && results.success !== false) {
+    results.reviewed_sha = payload.head_sha;
+  }
+  return results;
+}
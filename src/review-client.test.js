@@ -0,0 +1,228 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import axios from 'axios';
+import { mkdtempSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  planReview,
+  submitReview,
+  ReviewApiError,
+  ReviewAuthError,
+  ReviewPayloadTooLargeError,
+  ReviewTimeoutError,
+} from './review-client.js';
+import { openReviewCache, storeReviews } from './cache.js';
+
+vi.mock('axios', () => ({
+  default: { post: vi.fn() },
+}));
+
+const makeFile = (path) => ({
+  path,
+  status: 'M',
+  diff: `diff --git a/${path} b/${path}\n@@ -1 +1 @@\n-a\n+b`,
+  content: 'a',
+});
+
+const repository = 'github.com/user/repo';
+
+const makePayload = (paths) => ({
+  repo_url: repository,
+  source_branch: 'feature',
+  commit_messages: ['feat: change'],
+  changed_files: paths.map(makeFile),
+  changed_lines: paths.length * 2,
+});
+
+const apiResponse = (issues) => ({
+  data: {
+    success: true,
+    data: {
+      review: { issues, praises: [] },
+      summary: { total_issues: issues.length, total_praises: 0 },
+    },
+  },
+});
+
+const httpError = (status, headers = {}) =>
+  Object.assign(new Error(`Request failed with status code ${status}`), {
+    response: { status, headers, data: { error: `HTTP ${status}` } },
+  });
+
+describe('review client', () => {
+  let cacheDir;
+  let reviewCache;
+
+  beforeEach(() => {
+    cacheDir = mkdtempSync(join(tmpdir(), 'korekt-client-'));
+    reviewCache = openReviewCache(cacheDir);
+  });
+
+  afterEach(() => {
+    rmSync(cacheDir, { recursive: true, force: true });
+    vi.mocked(axios.post).mockReset();
+  });
+
+  describe('planReview', () => {
+    it('should take files with a cached review out of the payload', () => {
+      storeReviews([makeFile('a.js')], apiResponse([]).data, reviewCache, { repository });
+
+      const plan = planReview(makePayload(['a.js', 'b.js']), { reviewCache });
+
+      expect(plan.cached.map((entry) => entry.path)).toEqual(['a.js']);
+      expect(plan.payload.changed_files.map((file) => file.path)).toEqual(['b.js']);
+      expect(plan.payload.changed_lines).toBe(2);
+      expect(plan.batches).toEqual([plan.payload]);
+    });
+
+    it('should send nothing when every file is cached', () => {
+      storeReviews([makeFile('a.js')], apiResponse([]).data, reviewCache, { repository });
+
+      expect(planReview(makePayload(['a.js']), { reviewCache }).batches).toEqual([]);
+    });
+
+    it('should leave the payload alone without the cache', () => {
+      storeReviews([makeFile('a.js')], apiResponse([]).data, reviewCache, { repository });
+      const payload = makePayload(['a.js']);
+
+      const plan = planReview(payload, { cache: false, reviewCache });
+
+      expect(plan.cached).toEqual([]);
+      expect(plan.batches).toEqual([payload]);
+    });
+  });
+
+  describe('submitReview', () => {
+    const options = () => ({
+      apiKey: 'key',
+      apiEndpoint: 'https://api.example.com/review',
+      reviewCache,
+    });
+
+    it('should post with auth headers and the timeout, and annotate the results', async () => {
+      vi.mocked(axios.post).mockResolvedValue(
+        apiResponse([{ file_path: 'a.js', line_number: 1, severity: 'high', message: 'bug' }])
+      );
+
+      const results = await submitReview(makePayload(['a.js']), { ...options(), timeout: 30 });
+
+      const [url, body, config] = vi.mocked(axios.post).mock.calls[0];
+      expect(url).toBe('https://api.example.com/review');
+      expect(body.changed_files).toHaveLength(1);
+      expect(body.post_to_ticket).toBeUndefined();
+      expect(config.headers.Authorization).toBe('Bearer key');
+      expect(config.timeout).toBe(30000);
+      expect(results.data.review.issues[0].diff_location).toBe('changed');
+      expect(results.reviewed_sha).toBeUndefined();
+    });
+
+    it('should merge fresh and cached reviews, then cache the fresh ones', async () => {
+      storeReviews(
+        [makeFile('a.js')],
+        apiResponse([{ file_path: 'a.js', line_number: 1, severity: 'low', message: 'old' }]).data,
+        reviewCache,
+        { repository }
+      );
+      vi.mocked(axios.post).mockResolvedValue(
+        apiResponse([{ file_path: 'b.js', line_number: 1, severity: 'high', message: 'new' }])
+      );
+
+      const results = await submitReview(makePayload(['a.js', 'b.js']), options());
+
+      expect(vi.mocked(axios.post).mock.calls[0][1].changed_files).toHaveLength(1);
+      expect(results.data.review.issues.map((issue) => issue.message)).toEqual(['new', 'old']);
+      expect(planReview(makePayload(['b.js']), { reviewCache }).batches).toEqual([]);
+    });
+
+    it('should not cache files trimmed to the payload budget', async () => {
+      vi.mocked(axios.post).mockResolvedValue(apiResponse([]));
+      const payload = {
+        ...makePayload(['a.js', 'b.js']),
+        omitted_files: [
+          { path: 'a.js', status: 'M', omitted: 'content', additions: 1, deletions: 1 },
+        ],
+      };
+
+      await submitReview(payload, options());
+
+      const plan = planReview(makePayload(['a.js', 'b.js']), { reviewCache });
+      expect(plan.cached.map((entry) => entry.path)).toEqual(['b.js']);
+    });
+
+    it('should retry server errors and report progress', async () => {
+      vi.mocked(axios.post)
+        .mockRejectedValueOnce(httpError(502, { 'retry-after': '0' }))
+        .mockResolvedValue(apiResponse([]));
+      const onProgress = vi.fn();
+
+      await submitReview(makePayload(['a.js']), { ...options(), onProgress });
+
+      expect(axios.post).toHaveBeenCalledTimes(2);
+      expect(onProgress.mock.calls.map(([event]) => event.type)).toEqual(['retry', 'batch']);
+      expect(onProgress.mock.calls[0][0]).toMatchObject({ attempt: 2, attempts: 4 });
+      expect(onProgress.mock.calls[1][0]).toEqual({ type: 'batch', completed: 1, total: 1 });
+    });
+
+    it('should ask to post to the ticket only for a single request', async () => {
+      vi.mocked(axios.post).mockResolvedValue(apiResponse([]));
+
+      await submitReview(makePayload(['a.js']), { ...options(), postToTicket: true });
+
+      expect(vi.mocked(axios.post).mock.calls[0][1].post_to_ticket).toBe(true);
+    });
+
+    it('should mark the reviewed commit of --since-last payloads', async () => {
+      vi.mocked(axios.post).mockResolvedValue(apiResponse([]));
+
+      const results = await submitReview(
+        { ...makePayload(['a.js']), head_sha: 'f'.repeat(40) },
+        options()
+      );
+
+      expect(results.reviewed_sha).toBe('f'.repeat(40));
+    });
+
+    it('should throw typed errors', async () => {
+      const payload = makePayload(['a.js']);
+
+      vi.mocked(axios.post).mockRejectedValue(httpError(401));
+      await expect(submitReview(payload, options())).rejects.toBeInstanceOf(ReviewAuthError);
+
+      vi.mocked(axios.post).mockRejectedValue(httpError(413));
+      await expect(submitReview(payload, options())).rejects.toMatchObject({
+        name: 'ReviewPayloadTooLargeError',
+        status: 413,
+        data: { error: 'HTTP 413' },
+      });
+
+      vi.mocked(axios.post).mockRejectedValue(
+        Object.assign(new Error('timeout of 1000ms exceeded'), { code: 'ECONNABORTED' })
+      );
+      await expect(submitReview(payload, options())).rejects.toBeInstanceOf(ReviewTimeoutError);
+
+      vi.mocked(axios.post).mockRejectedValue(httpError(400));
+      const error = await submitReview(payload, options()).catch((err) => err);
+      expect(error).toBeInstanceOf(ReviewApiError);
+      expect(error).not.toBeInstanceOf(ReviewPayloadTooLargeError);
+      expect(error.attempts).toBe(1);
+    });
+
+    it('should count the attempts made before giving up', async () => {
+      vi.mocked(axios.post).mockRejectedValue(httpError(503, { 'retry-after': '0' }));
+
+      const error = await submitReview(makePayload(['a.js']), { ...options(), retries: 2 }).catch(
+        (err) => err
+      );
+
+      expect(error.status).toBe(503);
+      expect(error.attempts).toBe(3);
+    });
+
+    it('should refuse to send without an API key', async () => {
+      await expect(
+        submitReview(makePayload(['a.js']), { ...options(), apiKey: null })
+      ).rejects.toMatchObject({ name: 'ReviewAuthError', code: 'NO_API_KEY' });
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+  });
+});
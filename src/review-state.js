@@ -0,0 +1,225 @@
+import axios from 'axios';
+import chalk from 'chalk';
+import { getLastReviewedSha, setLastReviewedSha } from './config.js';
+import { detectCIProvider } from './utils.js';
+
+/**
+ * Marker left in the bot summary comment by the CI scripts, e.g.
+ * <!-- korekt-reviewed-sha: 3f786850e387550fdab836ed7e6dc881de23001b -->
+ */
+const REVIEWED_SHA_PATTERN = /korekt-reviewed-sha: ([0-9a-f]{7,64})/g;
+
+const PAGE_SIZE = 100;
+const REQUEST_TIMEOUT = 30000;
+
+// Author of comments posted with the GITHUB_TOKEN of GitHub Actions, which cannot read /user
+const GITHUB_ACTIONS_LOGIN = 'github-actions[bot]';
+
+/**
+ * Find the reviewed commit in a summary comment
+ * @param {string} text - Comment body
+ * @returns {string|null} - The last SHA marked in the text, or null if there is none
+ */
+export function parseReviewedSha(text) {
+  const matches = [...String(text || '').matchAll(REVIEWED_SHA_PATTERN)];
+  return matches.length > 0 ? matches.at(-1)[1] : null;
+}
+
+/**
+ * Key under which the last review of a branch is recorded locally
+ * @param {Object} repository - repo_url or local_repo_id, and source_branch
+ * @returns {string}
+ */
+export function reviewStateKey({ repo_url, local_repo_id, source_branch }) {
+  return `${repo_url || local_repo_id}#${source_branch}`;
+}
+
+/**
+ * Identify who the CI token posts comments as, so only the bot's own markers are trusted
+ * @param {string} provider - CI provider (github, azure, bitbucket)
+ * @returns {Promise<string|null>} - GitHub login, or Azure / Bitbucket author id
+ */
+async function fetchTokenIdentity(provider) {
+  const env = process.env;
+
+  if (provider === 'github') {
+    try {
+      const { data } = await axios.get('https://api.github.com/user', {
+        headers: {
+          Authorization: `Bearer ${env.GITHUB_TOKEN}`,
+          Accept: 'application/vnd.github+json',
+        },
+        timeout: REQUEST_TIMEOUT,
+      });
+      return data.login || null;
+    } catch (error) {
+      // Installation tokens may not read /user; they comment as the Actions bot
+      if (error.response?.status === 401 || error.response?.status === 403) {
+        return GITHUB_ACTIONS_LOGIN;
+      }
+      throw error;
+    }
+  }
+
+  if (provider === 'azure') {
+    const { data } = await axios.get(
+      `${env.SYSTEM_TEAMFOUNDATIONCOLLECTIONURI}_apis/connectionData`,
+      {
+        headers: { Authorization: `Bearer ${env.SYSTEM_ACCESSTOKEN}` },
+        timeout: REQUEST_TIMEOUT,
+      }
+    );
+    return data.authenticatedUser?.id || null;
+  }
+
+  if (provider === 'bitbucket') {
+    const { data } = await axios.get('https://api.bitbucket.org/2.0/user', {
+      headers: { Authorization: `Bearer ${env.BITBUCKET_ACCESS_TOKEN}` },
+      timeout: REQUEST_TIMEOUT,
+    });
+    return data.uuid || null;
+  }
+
+  return null;
+}
+
+/**
+ * Fetch the summary (non-inline) comments of the current pull request
+ * @param {string} provider - CI provider (github, azure, bitbucket)
+ * @returns {Promise<Array<{body: string, created: string, author: string}>>} - author is the
+ *   GitHub login, or the Azure / Bitbucket author id
+ */
+async function fetchSummaryComments(provider) {
+  const env = process.env;
+
+  if (provider === 'github') {
+    if (!env.PR_NUMBER) return [];
+
+    const url = `https://api.github.com/repos/${env.GITHUB_REPOSITORY}/issues/${env.PR_NUMBER}/comments`;
+    const comments = [];
+    for (let page = 1; ; page++) {
+      const { data } = await axios.get(url, {
+        params: { per_page: PAGE_SIZE, page },
+        headers: {
+          Authorization: `Bearer ${env.GITHUB_TOKEN}`,
+          Accept: 'application/vnd.github+json',
+        },
+        timeout: REQUEST_TIMEOUT,
+      });
+      comments.push(
+        ...data.map((comment) => ({
+          body: comment.body,
+          created: comment.created_at,
+          author: comment.user?.login,
+        }))
+      );
+      if (data.length < PAGE_SIZE) return comments;
+    }
+  }
+
+  if (provider === 'azure') {
+    const url = `${env.SYSTEM_TEAMFOUNDATIONCOLLECTIONURI}${env.SYSTEM_TEAMPROJECT}/_apis/git/repositories/${env.BUILD_REPOSITORY_ID}/pullRequests/${env.SYSTEM_PULLREQUEST_PULLREQUESTID}/threads`;
+    const { data } = await axios.get(url, {
+      params: { 'api-version': '7.1' },
+      headers: { Authorization: `Bearer ${env.SYSTEM_ACCESSTOKEN}` },
+      timeout: REQUEST_TIMEOUT,
+    });
+    return (data.value || [])
+      .filter((thread) => thread.threadContext == null)
+      .flatMap((thread) => thread.comments || [])
+      .filter((comment) => !comment.isDeleted)
+      .map((comment) => ({
+        body: comment.content,
+        created: comment.publishedDate,
+        author: comment.author?.id,
+      }));
+  }
+
+  if (provider === 'bitbucket') {
+    const comments = [];
+    let url = `https://api.bitbucket.org/2.0/repositories/${env.BITBUCKET_REPO_FULL_NAME}/pullrequests/${env.BITBUCKET_PR_ID}/comments`;
+    while (url) {
+      const { data } = await axios.get(url, {
+        headers: { Authorization: `Bearer ${env.BITBUCKET_ACCESS_TOKEN}` },
+        timeout: REQUEST_TIMEOUT,
+      });
+      comments.push(
+        ...(data.values || [])
+          .filter((comment) => comment.inline == null && !comment.deleted)
+          .map((comment) => ({
+            body: comment.content?.raw,
+            created: comment.created_on,
+            author: comment.user?.uuid,
+          }))
+      );
+      url = data.next || null;
+    }
+    return comments;
+  }
+
+  return [];
+}
+
+/**
+ * Read the commit reviewed last from the marker in the pull request's summary comment.
+ * Only comments posted with the CI token are trusted: anyone else could mark a later commit
+ * and have the commits before it skipped.
+ * @param {string} provider - CI provider (github, azure, bitbucket)
+ * @returns {Promise<string|null>} - Commit SHA, or null if there is no marker or it could not be read
+ */
+export async function fetchCIReviewedSha(provider) {
+  try {
+    const identity = await fetchTokenIdentity(provider);
+    if (!identity) {
+      throw new Error('the CI token has no user identity');
+    }
+
+    const comments = await fetchSummaryComments(provider);
+    const marked = comments
+      .filter((comment) => comment.author === identity && parseReviewedSha(comment.body))
+      .sort((a, b) => String(a.created).localeCompare(String(b.created)));
+    return marked.length > 0 ? parseReviewedSha(marked.at(-1).body) : null;
+  } catch (error) {
+    console.warn(
+      chalk.yellow(`Could not read the last reviewed commit from ${provider}:`),
+      error.message
+    );
+    return null;
+  }
+}
+
+/**
+ * Find the commit the branch was reviewed at last.
+ * On CI it is read from the pull request's summary comment, locally from the CLI config.
+ * @param {Object} repository - repo_url or local_repo_id, and source_branch
+ * @param {string|null} [provider] - CI provider, detected from the environment by default
+ * @returns {Promise<string|null>} - Commit SHA, or null if the branch was not reviewed before
+ */
+export async function findLastReviewedSha(repository, provider = detectCIProvider()) {
+  if (provider) {
+    return fetchCIReviewedSha(provider);
+  }
+  return getLastReviewedSha(reviewStateKey(repository));
+}
+
+/**
+ * Whether a --since-last payload has nothing new: HEAD is the commit reviewed last.
+ * Such a payload has no changed files and should not be sent.
+ * @param {Object} payload - A payload from runLocalReview
+ * @returns {boolean}
+ */
+export function isAlreadyReviewed(payload) {
+  return Boolean(payload.head_sha) && payload.reviewed_since === payload.head_sha;
+}
+
+/**
+ * Remember the commit a payload was reviewed at, for the next --since-last review.
+ * On CI the summary comment carries it instead, so nothing is stored there.
+ * @param {Object} payload - A payload built with sinceLast, carrying head_sha
+ */
+export function recordReviewedSha(payload) {
+  if (!payload.head_sha || payload.is_ci) {
+    return;
+  }
+  setLastReviewedSha(reviewStateKey(payload), payload.head_sha);
+}
@@ -0,0 +1,260 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import axios from 'axios';
+import {
+  parseReviewedSha,
+  reviewStateKey,
+  fetchCIReviewedSha,
+  findLastReviewedSha,
+  recordReviewedSha,
+  isAlreadyReviewed,
+} from './review-state.js';
+import { getLastReviewedSha, setLastReviewedSha } from './config.js';
+
+vi.mock('axios', () => ({
+  default: { get: vi.fn() },
+}));
+
+vi.mock('./config.js', () => ({
+  getLastReviewedSha: vi.fn(),
+  setLastReviewedSha: vi.fn(),
+}));
+
+const OLD = 'a'.repeat(40);
+const NEW = 'b'.repeat(40);
+
+describe('parseReviewedSha', () => {
+  it('should read the marker left by the CI scripts', () => {
+    expect(parseReviewedSha(`🤖 **Results**\n\n<!-- korekt-reviewed-sha: ${NEW} -->`)).toBe(NEW);
+    expect(parseReviewedSha(`[//]: # (korekt-reviewed-sha: ${NEW})`)).toBe(NEW);
+  });
+
+  it('should return null without a marker', () => {
+    expect(parseReviewedSha('Looks good')).toBeNull();
+    expect(parseReviewedSha(undefined)).toBeNull();
+  });
+});
+
+describe('reviewStateKey', () => {
+  it('should key reviews by repository and branch', () => {
+    expect(reviewStateKey({ repo_url: 'github.com/a/b', source_branch: 'feat' })).toBe(
+      'github.com/a/b#feat'
+    );
+    expect(reviewStateKey({ repo_url: null, local_repo_id: 'local:b', source_branch: 'x' })).toBe(
+      'local:b#x'
+    );
+  });
+});
+
+describe('fetchCIReviewedSha', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.mocked(axios.get).mockReset();
+    vi.unstubAllEnvs();
+  });
+
+  it('should read the newest marker from GitHub issue comments, across pages', async () => {
+    vi.stubEnv('GITHUB_REPOSITORY', 'user/repo');
+    vi.stubEnv('PR_NUMBER', '7');
+    const firstPage = Array.from({ length: 100 }, (_, index) => ({
+      body: index === 0 ? `<!-- korekt-reviewed-sha: ${OLD} -->` : 'chatter',
+      created_at: '2026-01-01T00:00:00Z',
+      user: { login: 'korekt-bot' },
+    }));
+    vi.mocked(axios.get)
+      .mockResolvedValueOnce({ data: { login: 'korekt-bot' } })
+      .mockResolvedValueOnce({ data: firstPage })
+      .mockResolvedValueOnce({
+        data: [
+          {
+            body: `<!-- korekt-reviewed-sha: ${NEW} -->`,
+            created_at: '2026-01-02T00:00:00Z',
+            user: { login: 'korekt-bot' },
+          },
+        ],
+      });
+
+    expect(await fetchCIReviewedSha('github')).toBe(NEW);
+    expect(axios.get).toHaveBeenCalledTimes(3);
+    expect(axios.get.mock.calls[0][0]).toBe('https://api.github.com/user');
+    expect(axios.get.mock.calls[2][0]).toBe(
+      'https://api.github.com/repos/user/repo/issues/7/comments'
+    );
+    expect(axios.get.mock.calls[2][1].params).toEqual({ per_page: 100, page: 2 });
+  });
+
+  it('should ignore markers in comments not written by the CI token', async () => {
+    vi.stubEnv('GITHUB_REPOSITORY', 'user/repo');
+    vi.stubEnv('PR_NUMBER', '7');
+    vi.mocked(axios.get)
+      .mockRejectedValueOnce(
+        Object.assign(new Error('Resource not accessible by integration'), {
+          response: { status: 403 },
+        })
+      )
+      .mockResolvedValueOnce({
+        data: [
+          {
+            body: `<!-- korekt-reviewed-sha: ${OLD} -->`,
+            created_at: '2026-01-01T00:00:00Z',
+            user: { login: 'github-actions[bot]' },
+          },
+          {
+            body: `<!-- korekt-reviewed-sha: ${NEW} -->`,
+            created_at: '2026-01-02T00:00:00Z',
+            user: { login: 'pr-author' },
+          },
+        ],
+      });
+
+    expect(await fetchCIReviewedSha('github')).toBe(OLD);
+  });
+
+  it('should skip inline and deleted Bitbucket comments and follow pagination', async () => {
+    vi.stubEnv('BITBUCKET_REPO_FULL_NAME', 'team/repo');
+    vi.stubEnv('BITBUCKET_PR_ID', '3');
+    const bot = { uuid: '{bot}' };
+    vi.mocked(axios.get)
+      .mockResolvedValueOnce({ data: bot })
+      .mockResolvedValueOnce({
+        data: {
+          values: [
+            {
+              content: { raw: `[//]: # (korekt-reviewed-sha: ${OLD})` },
+              created_on: '2026-01-01T00:00:00Z',
+              user: bot,
+            },
+          ],
+          next: 'https://api.bitbucket.org/page2',
+        },
+      })
+      .mockResolvedValueOnce({
+        data: {
+          values: [
+            {
+              content: { raw: `[//]: # (korekt-reviewed-sha: ${NEW})` },
+              created_on: '2026-01-03T00:00:00Z',
+              inline: { path: 'a.js' },
+              user: bot,
+            },
+            {
+              content: { raw: `[//]: # (korekt-reviewed-sha: ${NEW})` },
+              created_on: '2026-01-02T00:00:00Z',
+              deleted: true,
+              user: bot,
+            },
+            {
+              content: { raw: `[//]: # (korekt-reviewed-sha: ${NEW})` },
+              created_on: '2026-01-04T00:00:00Z',
+              user: { uuid: '{author}' },
+            },
+          ],
+        },
+      });
+
+    expect(await fetchCIReviewedSha('bitbucket')).toBe(OLD);
+    expect(axios.get.mock.calls[0][0]).toBe('https://api.bitbucket.org/2.0/user');
+    expect(axios.get.mock.calls[2][0]).toBe('https://api.bitbucket.org/page2');
+  });
+
+  it('should read Azure summary threads only', async () => {
+    vi.mocked(axios.get)
+      .mockResolvedValueOnce({ data: { authenticatedUser: { id: 'build-service' } } })
+      .mockResolvedValueOnce({
+        data: {
+          value: [
+            {
+              threadContext: null,
+              comments: [
+                {
+                  content: `<!-- korekt-reviewed-sha: ${NEW} -->`,
+                  publishedDate: '2026-01-02T00:00:00Z',
+                  author: { id: 'build-service' },
+                },
+                {
+                  content: `<!-- korekt-reviewed-sha: ${OLD} -->`,
+                  publishedDate: '2026-01-03T00:00:00Z',
+                  author: { id: 'pr-author' },
+                },
+              ],
+            },
+            {
+              threadContext: { filePath: '/a.js' },
+              comments: [
+                {
+                  content: `<!-- korekt-reviewed-sha: ${OLD} -->`,
+                  author: { id: 'build-service' },
+                },
+              ],
+            },
+          ],
+        },
+      });
+
+    expect(await fetchCIReviewedSha('azure')).toBe(NEW);
+  });
+
+  it('should warn and return null when the comments cannot be read', async () => {
+    vi.stubEnv('PR_NUMBER', '7');
+    vi.mocked(axios.get).mockRejectedValue(new Error('Request failed with status code 403'));
+
+    expect(await fetchCIReviewedSha('github')).toBeNull();
+    expect(console.warn).toHaveBeenCalledWith(
+      expect.stringContaining('Could not read the last reviewed commit'),
+      'Request failed with status code 403'
+    );
+  });
+});
+
+describe('findLastReviewedSha', () => {
+  afterEach(() => {
+    vi.mocked(axios.get).mockReset();
+    vi.mocked(getLastReviewedSha).mockReset();
+  });
+
+  it('should read the local record outside CI', async () => {
+    vi.mocked(getLastReviewedSha).mockReturnValue(OLD);
+
+    const sha = await findLastReviewedSha({ repo_url: 'github.com/a/b', source_branch: 'f' }, null);
+
+    expect(sha).toBe(OLD);
+    expect(getLastReviewedSha).toHaveBeenCalledWith('github.com/a/b#f');
+    expect(axios.get).not.toHaveBeenCalled();
+  });
+});
+
+describe('isAlreadyReviewed', () => {
+  it('should tell when HEAD is the commit reviewed last', () => {
+    expect(isAlreadyReviewed({ head_sha: NEW, reviewed_since: NEW })).toBe(true);
+    expect(isAlreadyReviewed({ head_sha: NEW, reviewed_since: OLD })).toBe(false);
+    expect(isAlreadyReviewed({ head_sha: NEW, reviewed_since: null })).toBe(false);
+    expect(isAlreadyReviewed({ changed_files: [] })).toBe(false);
+  });
+});
+
+describe('recordReviewedSha', () => {
+  afterEach(() => {
+    vi.mocked(setLastReviewedSha).mockReset();
+  });
+
+  it('should record the reviewed HEAD locally', () => {
+    recordReviewedSha({ repo_url: 'github.com/a/b', source_branch: 'f', head_sha: NEW });
+
+    expect(setLastReviewedSha).toHaveBeenCalledWith('github.com/a/b#f', NEW);
+  });
+
+  it('should not record on CI or without a head_sha', () => {
+    recordReviewedSha({
+      repo_url: 'github.com/a/b',
+      source_branch: 'f',
+      head_sha: NEW,
+      is_ci: true,
+    });
+    recordReviewedSha({ repo_url: 'github.com/a/b', source_branch: 'f' });
+
+    expect(setLastReviewedSha).not.toHaveBeenCalled();
+  });
+});
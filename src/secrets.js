@@ -0,0 +1,218 @@
+/**
+ * Detects and redacts secrets in changed files before they are sent for review.
+ * Redaction never adds or removes lines, so line numbers in diffs and contents stay valid.
+ */
+
+// Assignments to names with one of these segments are treated as secrets: API_KEY=...,
+// "password": "...", githubToken = "..." (but not tokenizer = "...")
+const SECRET_NAME_PATTERN =
+  /(^|_)(secret|passw(or)?d|token|api_?key|access_?key|private_?key|credentials?)(_|$)/;
+
+// Files where unquoted KEY=value / key: value assignments are common
+const CONFIG_FILE_PATTERN = /(^|\/)\.env(\.[^/]*)?$|\.(ya?ml|toml|ini|cfg|conf|properties)$/i;
+
+// Values that are obviously not real secrets
+const PLACEHOLDER_PATTERN =
+  /^(x+|\*+|\.+|changeme|change_me|password|secret|token|null|none|true|false|undefined|(your|my|example|dummy|fake|test)[\w-]*)$/i;
+
+/**
+ * Secret formats, most specific first.
+ * The named group "secret" is replaced; "before" and "after" are kept around it.
+ * A pattern without a "secret" group has its whole match replaced.
+ */
+const SECRET_PATTERNS = [
+  {
+    type: 'private-key',
+    // Body lines are base64 or PEM headers; the END line may be missing from truncated content
+    pattern:
+      /-----BEGIN ((?:[A-Z0-9]+ )*)PRIVATE KEY-----(?:\n[+\- ]?(?:[A-Za-z0-9+/=]+|[A-Za-z-]+: .*)?(?=\n|$))*(?:\n[+\- ]?-----END \1PRIVATE KEY-----)?/g,
+  },
+  { type: 'aws-access-key', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  {
+    type: 'github-token',
+    pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{40,})\b/g,
+  },
+  { type: 'gitlab-token', pattern: /\bglpat-[A-Za-z0-9_-]{20,}/g },
+  { type: 'slack-token', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g },
+  { type: 'google-api-key', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+  { type: 'stripe-key', pattern: /\b[rs]k_(?:live|test)_[0-9A-Za-z]{16,}\b/g },
+  { type: 'jwt', pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g },
+  {
+    type: 'url-password',
+    pattern: /(?<before>\b[a-z][a-z0-9+.-]*:\/\/[^\s:/@]+:)(?<secret>[^\s@/]{3,})(?<after>@)/gi,
+  },
+  {
+    type: 'assignment',
+    // Quoted values anywhere: apiKey = "...", "password": "..."
+    pattern:
+      /(?<before>\b(?<name>[\w.-]+)["']?\s*[:=]\s*(?<quote>["']))(?<secret>[^"'\s]{6,})(?<after>\k<quote>)/g,
+    assignment: true,
+  },
+  {
+    type: 'assignment',
+    // Unquoted values at the start of a line, in .env and config files only
+    configOnly: true,
+    pattern:
+      /(?<before>^[+\- ]?\s*(?:export\s+)?(?<name>[\w.-]+)\s*[:=][ \t]*)(?![$<{%])(?<secret>[^\s"'#]{6,})/gm,
+    assignment: true,
+  },
+  {
+    type: 'high-entropy-string',
+    // Long random-looking string literals; checked further by isHighEntropy
+    pattern: /(?<before>["'`])(?<secret>[A-Za-z0-9+/_=-]{24,})(?<after>["'`])/g,
+    entropy: true,
+  },
+];
+
+/**
+ * Shannon entropy of a string, in bits per character
+ * @param {string} text - The string to measure
+ * @returns {number} - Entropy
+ */
+export function shannonEntropy(text) {
+  const counts = new Map();
+  for (const char of text) {
+    counts.set(char, (counts.get(char) || 0) + 1);
+  }
+
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const p = count / text.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+/**
+ * Whether a string looks like a random token rather than a word, path or hash
+ * Mixed case and digits are required, which leaves out hex hashes and identifiers.
+ * @param {string} text - Candidate string
+ * @returns {boolean}
+ */
+function isHighEntropy(text) {
+  return /[a-z]/.test(text) && /[A-Z]/.test(text) && /\d/.test(text) && shannonEntropy(text) > 4;
+}
+
+/**
+ * Whether an assigned name holds a secret, judged by whole name segments:
+ * DB_PASSWORD, githubToken and api-key do, tokenizer and passwords_match do not
+ * @param {string} name - Variable, property or key name
+ * @returns {boolean}
+ */
+function isSecretName(name) {
+  const segments = name
+    .split(/[^A-Za-z0-9]+|(?<=[a-z0-9])(?=[A-Z])/)
+    .filter(Boolean)
+    .map((segment) => segment.toLowerCase());
+  return SECRET_NAME_PATTERN.test(segments.join('_'));
+}
+
+/**
+ * Whether an assigned value looks like a secret rather than a word, identifier or URL
+ * ("bearer", "refresh_token", "https://example.com/token"): at least 8 characters,
+ * with letters and digits or symbols, and not too repetitive
+ * @param {string} value - The assigned value
+ * @returns {boolean}
+ */
+function isSecretValue(value) {
+  return (
+    value.length >= 8 &&
+    /[A-Za-z]/.test(value) &&
+    !/^[A-Za-z_.-]+$/.test(value) &&
+    !/^[a-z][a-z0-9+.-]*:\/\//i.test(value) &&
+    shannonEntropy(value) >= 2.5
+  );
+}
+
+/**
+ * Replace a redacted span line by line, so the text keeps its line count
+ * @param {string} span - The text being redacted
+ * @param {string} placeholder - Replacement for each line
+ * @param {boolean} diff - Keep the +/-/space prefix of continuation lines
+ * @returns {string}
+ */
+function redactSpan(span, placeholder, diff) {
+  return span
+    .split('\n')
+    .map((line, index) => (index > 0 && diff ? line.charAt(0) : '') + placeholder)
+    .join('\n');
+}
+
+/**
+ * Redact secrets from a diff or file content
+ * @param {string} text - The text to scrub
+ * @param {Object} options
+ * @param {string} options.path - Path of the file the text belongs to
+ * @param {boolean} options.diff - Whether the text is a unified diff
+ * @returns {{text: string, findings: string[]}} - Scrubbed text and the type of each secret found
+ */
+export function scrubSecrets(text, { path = '', diff = false } = {}) {
+  if (!text) {
+    return { text, findings: [] };
+  }
+
+  const findings = [];
+  const isConfigFile = CONFIG_FILE_PATTERN.test(path);
+
+  let scrubbed = text;
+  for (const { type, pattern, configOnly, entropy, assignment } of SECRET_PATTERNS) {
+    if (configOnly && !isConfigFile) continue;
+
+    scrubbed = scrubbed.replace(pattern, (match, ...args) => {
+      const groups = args.at(-1);
+      const secret = groups?.secret ?? match;
+      if (
+        secret.includes('[REDACTED:') ||
+        PLACEHOLDER_PATTERN.test(secret) ||
+        (entropy && !isHighEntropy(secret)) ||
+        (assignment && !(isSecretName(groups.name) && isSecretValue(secret)))
+      ) {
+        return match;
+      }
+
+      findings.push(type);
+      const placeholder = `[REDACTED:${type}]`;
+      if (groups?.secret === undefined) {
+        return redactSpan(match, placeholder, diff);
+      }
+      return `${groups.before ?? ''}${placeholder}${groups.after ?? ''}`;
+    });
+  }
+
+  return { text: scrubbed, findings };
+}
+
+/**
+ * Redact secrets from the diff and contents of each changed file
+ * @param {Array} changedFiles - Entries of the payload's changed_files
+ * @returns {{changedFiles: Array, redactions: Array<{path: string, type: string, count: number}>}}
+ *   Scrubbed copies of the files, and what was redacted from each
+ */
+export function scrubChangedFiles(changedFiles) {
+  const redactions = [];
+
+  const scrubbedFiles = changedFiles.map((file) => {
+    const scrubbed = { ...file };
+    const counts = new Map();
+
+    for (const field of ['diff', 'content', 'new_content']) {
+      if (typeof file[field] !== 'string') continue;
+
+      const { text, findings } = scrubSecrets(file[field], {
+        path: file.path,
+        diff: field === 'diff',
+      });
+      scrubbed[field] = text;
+      for (const type of findings) {
+        counts.set(type, (counts.get(type) || 0) + 1);
+      }
+    }
+
+    for (const [type, count] of counts) {
+      redactions.push({ path: file.path, type, count });
+    }
+    return scrubbed;
+  });
+
+  return { changedFiles: scrubbedFiles, redactions };
+}
@@ -1,3 +1,5 @@
+import { readFileSync } from 'fs';
+
 /**
  * Detect CI provider from environment variables
  * @returns {string|null} Provider name or null if not detected
@@ -45,6 +47,47 @@ export function getPrUrl() {
   return null;
 }
 
+/**
+ * Get the pull request's target branch from CI environment variables
+ * @returns {string|null} Branch name (without refs/heads/) or null if not in CI PR context
+ */
+export function getCIBaseBranch() {
+  const branch =
+    process.env.GITHUB_BASE_REF || // GitHub Actions
+    process.env.SYSTEM_PULLREQUEST_TARGETBRANCH || // Azure DevOps Pipelines
+    process.env.BITBUCKET_PR_DESTINATION_BRANCH; // Bitbucket Pipelines
+  return branch ? branch.replace(/^refs\/heads\//, '') : null;
+}
+
+/**
+ * Get the pull request's head commit from CI environment variables.
+ * CI usually builds a merge of the pull request into its target branch, a commit that is
+ * made anew on every push, so only the head commit can be compared between runs.
+ * @returns {string|null} Commit sha or null if not in CI PR context
+ */
+export function getCIHeadSha() {
+  // GitHub Actions: the pull_request event payload
+  if (process.env.GITHUB_EVENT_PATH) {
+    try {
+      const event = JSON.parse(readFileSync(process.env.GITHUB_EVENT_PATH, 'utf8'));
+      if (event.pull_request?.head?.sha) {
+        return event.pull_request.head.sha;
+      }
+    } catch {
+      // Not a pull request event
+    }
+  }
+  // Azure DevOps Pipelines
+  if (process.env.SYSTEM_PULLREQUEST_PULLREQUESTID) {
+    return process.env.SYSTEM_PULLREQUEST_SOURCECOMMITID || null;
+  }
+  // Bitbucket Pipelines
+  if (process.env.BITBUCKET_PR_ID) {
+    return process.env.BITBUCKET_COMMIT || null;
+  }
+  return null;
+}
+
 /**
  * Truncates file data (diff and content) for display purposes
  * @param {Object} file - File object with path, status, diff, content, etc.
@@ -64,21 +107,28 @@ export function truncateFileData(file, maxLength = 500) {
       file.content.length > maxLength
         ? `${file.content.substring(0, maxLength)}... [truncated ${file.content.length - maxLength} chars]`
         : file.content,
+    ...(file.new_content !== undefined && {
+      new_content:
+        file.new_content.length > maxLength
+          ? `${file.new_content.substring(0, maxLength)}... [truncated ${file.new_content.length - maxLength} chars]`
+          : file.new_content,
+    }),
   };
 }
 
 /**
  * Formats error object for JSON output
- * @param {Error} error - Error object from axios or other source
+ * @param {Error} error - ReviewApiError, error object from axios or other source
  * @returns {Object} Formatted error output with success: false
  */
 export function formatErrorOutput(error) {
+  const status = error.status ?? error.response?.status;
   return {
     success: false,
     error: error.message,
-    ...(error.response && {
-      status: error.response.status,
-      data: error.response.data,
+    ...(status && {
+      status,
+      data: error.status ? error.data : error.response.data,
     }),
   };
 }